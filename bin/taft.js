@@ -28,6 +28,14 @@ const path = require('path'),
     program = require('commander');
  
 const check = require('../lib/check'),
+    config = require('../lib/config'),
+    Server = require('../lib/serve'),
+    Watcher = require('../lib/watch'),
+    jobs = require('../lib/jobs'),
+    feeds = require('../lib/feeds'),
+    Output = require('../lib/output'),
+    errors = require('../lib/errors'),
+    Reporter = require('../lib/reporter'),
     Taft = require('..');
 
 function collect(val, memo) {
@@ -45,31 +53,93 @@ program
     .description('Render files with Handlebars\n' + license)
     .option('-H, --helper <file>', 'js file that exports an object containing handlebars helpers', collect, [])
     .option('-p, --partial <file>', 'Handlebars partial', collect, [])
-    .option('-d, --data <data>', 'JSON, YAML or INI file or data (stdin with \'-\' or \'key:-\')', collect, [])
+    .option('-d, --data <data>', 'JSON, YAML, TOML, INI, CSV, TSV or JavaScript file or data (stdin with \'-\' or \'key:-\')', collect, [])
+    .option('--data-dir <dir>', "read every data file in a directory into objects that mirror its folders (prefix with 'key:')", collect, [])
+    .option('--merge-index', 'merge the data in index files into their directory, when reading --data-dir')
+    .option('--merge <strategy>', "how data with the same keys is merged: 'replace' (default), 'deep' or 'concat'", String)
+    .option('--collisions <action>', "when data sets the same key twice: 'ignore' (default), 'warn' or 'error'", String)
+    .option('--namespace <style>', "key data globs by file 'basename' (default) or by 'path' within the glob", String)
+    .option('--csv-types', 'read numbers and true/false in CSV and TSV data as numbers and booleans')
     .option('-t, --layout <file>', 'Handlebars template file', collect, [])
+    .option('--layout-dir <path>', 'use every file in this directory as a layout, named by its path (blog/post)', String)
+    .option('--partial-dir <path>', 'use every file in this directory as a partial, named by its path (blog/card)', String)
     .option('-y, --default-layout <name>', 'use this layout as default', String)
     .option('-o, --output <path>', 'output path', String, '/dev/stdout')
     .option('-D, --dest-dir <path>', 'output directory (mandatory if more than one file given)', String)
     .option('-C, --cwd <path>', 'save files relative this directory', String)
-    .option('-e, --ext <string>', 'output file extension (default: html)', String, 'html')
+    .option('-e, --ext <string>', 'output file extension (default: html)', String)
+    .option('-P, --permalink <pattern>', "default permalink pattern, e.g. ':dir/:basename/'", String)
+    .option('-a, --assets <glob>', 'copy these files into --dest-dir, relative to --cwd', collect, [])
+    .option('--asset-hash', 'add a hash of their contents to the names of assets')
+    .option('--asset-manifest <file>', 'where to save the JSON list of assets (default: assets.json in --dest-dir)', String)
+    .option('-u, --site-url <url>', "the site's base URL, for the sitemap and feed", String)
+    .option('--sitemap', 'save a sitemap.xml of the pages in --dest-dir')
+    .option('--feed <file>', 'save a feed of the pages with dates at this path in --dest-dir, e.g. feed.xml', String)
+    .option('--feed-format <format>', "'atom' (default) or 'rss'", String)
+    .option('--feed-title <title>', 'title of the feed (default: the site URL)', String)
+    .option('--feed-author <name>', 'author of the feed (default: its title)', String)
+    .option('-S, --serve [port]', 'serve pages on this port, rendering them when requested (default: 8000)')
+    .option('--static <path>', 'when serving, also serve files from this directory', String)
+    .option('-j, --jobs <n>', 'build on this many threads (default: 1)', Number)
+    .option('-k, --keep-going', 'write pages even if they have errors, and exit successfully')
+    .option('--cache-dir <path>', 'keep precompiled templates in this directory, to speed up the next build', String)
+    .option('--no-cache', "compile every template each time it's used")
+    .option('--clean', "delete files in --dest-dir that earlier builds wrote, but this one didn't")
+    .option('--dry-run', "list each page's output files and layouts, without building or saving anything")
+    .option('--explain <file>', "show a page's data, and where each key came from", String)
+    .option('--reporter <format>', "describe the build on stdout as 'json' or 'ndjson' events, instead of listing files", String)
+    .option('-w, --watch', 'rebuild pages when they or their layouts, partials, helpers or data change')
+    .option('-c, --config <file>', 'read options from this file (default: taft.config.js, .taftrc.yaml or .taftrc.json)')
+    .option('--no-config', "don't read options from a config file")
     .option('-v, --verbose', 'output some debugging information')
     .option('-s, --silent', "don't output progress information")
     .parse(process.argv);
 
-function outFilePath(file) {
-    if (program.destDir) {
-        const outFile = (program.cwd) ? path.relative(program.cwd, file) : file;
-        return path.join(program.destDir, outFile);
+// Fill in options from a config file. Options given on the command line win.
+function configure() {
+    if (program.config === false) return;
 
-    } else {
-        return program.output;
+    const file = (typeof program.config === 'string') ? program.config : config.find('.');
+
+    if (!file) return;
+
+    var settings;
+
+    try {
+        settings = config.read(file);
+    } catch (e) {
+        console.error(e.message);
+        process.exit(1);
     }
+
+    if (program.verbose && !program.silent) console.error('read options from ' + file);
+
+    if (typeof program.merge === 'undefined') program.merge = settings.mergeStrategy;
+
+    const lists = {layouts: 'layout', partials: 'partial', helpers: 'helper', data: 'data', dataDir: 'dataDir', assets: 'assets'};
+
+    Object.keys(lists).forEach(key => {
+        if (program[lists[key]].length === 0 && typeof settings[key] !== 'undefined')
+            program[lists[key]] = [].concat(settings[key]);
+    });
+
+    ['defaultLayout', 'destDir', 'cwd', 'ext', 'permalink', 'markdown', 'cacheDir', 'csvTypes', 'collisions', 'namespace', 'mergeIndex', 'layoutDir', 'partialDir',
+        'assetHash', 'assetManifest', 'siteUrl', 'sitemap', 'feed', 'feedFormat', 'feedTitle', 'feedAuthor', 'clean'].forEach(key => {
+        if (typeof program[key] === 'undefined' && typeof settings[key] !== 'undefined')
+            program[key] = settings[key];
+    });
 }
 
 function replaceExt(file, ext) {
     return file.slice(0, -path.extname(file).length) + '.' + ext;
 }
 
+// the URL a file is served at: its place in --dest-dir, without the --dest-dir
+function urlPath(file, ext) {
+    const relative = (program.cwd) ? path.relative(program.cwd, file) : file;
+    return '/' + replaceExt(relative, ext).split(path.sep).join('/');
+}
+
 function render(err, warn, files) {
     // process files and possibly toss errors
     if (err || warn) {
@@ -78,60 +148,331 @@ function render(err, warn, files) {
     }
 
     // use output extname if given
-    program.ext = path.extname(program.output) || program.ext;
+    program.ext = path.extname(program.output) || program.ext || 'html';
 
-    // create TAFT global 
-    // Two more keys, `output` & `file`, are added in the build step.
-    const TAFT = {
+    // settings for the TAFT global, which is created for each page in the build step.
+    const settings = {
         version: program.version(),
         cwd: program.cwd,
         destDir: program.destDir,
         // remove . from extension
         ext: (program.ext[0] === '.') ? program.ext.slice(1) : program.ext,
+        output: program.output,
     };
 
     // render output
-    const taft = new Taft(options);
+    options.ext = settings.ext;
 
-    files.forEach(file => {
-        TAFT.file = (program.cwd) ? path.relative(program.cwd, file) : file;
-        TAFT.output = outFilePath(file);
+    if (program.reporter) {
+        reporter = new Reporter(program.reporter);
+        options.report = (event, details) => reporter.event(event, details);
+    }
 
-        const build = taft.build(file, {'TAFT': TAFT});
+    // JavaScript data files may take a moment to load
+    new Taft(options).ready().then(taft => {
+        if (program.explain) return explain(taft, program.explain, files, settings);
+        if (program.dryRun) return dryRun(taft, files, settings);
+        return build(taft, files, settings);
+    })
+    .catch(e => {
+        console.error(program.verbose ? e.stack : 'error: ' + e.message);
+        process.exitCode = 1;
 
-        if (build) {
-            const ext = (build.data.page || build.data || TAFT).ext || TAFT.ext,
-                outfile = (TAFT.output === '/dev/stdout') ? TAFT.output : replaceExt(TAFT.output, ext);
-            save(outfile, build.toString());
+        if (reporter) {
+            reporter.event('error', {message: e.message});
+            reporter.summary(1);
         }
     });
 }
 
-function save(file, content) {
-    // Save files, create folders
-    mkdirp(path.dirname(file), function(e) {
+// report an error with a page the way Taft#build does
+function pageError(taft, file, err) {
+    const error = errors.wrap(err, {file: file, kind: 'page'});
+    taft.errors.push(error);
+    taft.err(errors.format(error));
+    process.exitCode = 1;
+}
 
-        if (e) return console.error(e);
+// say where each page would be saved, and with which layouts, without building it
+function dryRun(taft, files, settings) {
+    taft.collections(files.filter(file => file !== '/dev/stdin'));
 
-        fs.writeFile(file, content, 'utf8', function(e) {
-            if (e)
-                console.error(e);
-            else if (program.silent !== true && file !== '/dev/stdout')
-                console.log(file);
-        });
+    files.forEach(file => {
+        var plan;
+
+        try {
+            plan = jobs.plan(taft, file, settings);
+        } catch (e) {
+            return pageError(taft, file, e);
+        }
+
+        if (!plan.published) return console.log(file + ': skipped (published: false)');
+
+        const names = plan.layouts.map(name => plan.missing.indexOf(name) > -1 ? name + ' (missing)' : name),
+            layouts = names.length ? 'layouts: ' + names.join(', ') : 'no layout';
+
+        plan.outputs.forEach(output => console.log(file + ' -> ' + output + ' (' + layouts + ')'));
     });
 }
 
+// a short version of a piece of data, unless --verbose
+function preview(value) {
+    var text;
+
+    try {
+        text = JSON.stringify(value);
+    } catch (e) {
+        text = undefined;
+    }
+
+    if (text === undefined) text = String(value);
+
+    return (text.length > 60 && !program.verbose) ? text.slice(0, 57) + '...' : text;
+}
+
+// list the keys of a page's data, with their values and where they came from
+function explain(taft, file, files, settings) {
+    taft.collections((files.length ? files : [file]).filter(f => f !== '/dev/stdin'));
+
+    var result;
+
+    try {
+        result = taft.explain(file, {TAFT: taft.taftGlobal(file, settings)});
+    } catch (e) {
+        return pageError(taft, file, e);
+    }
+
+    const rows = Object.keys(result.data).map(key => [key, (result.sources[key] || []).join(', '), preview(result.data[key])]),
+        widths = [0, 1].map(i => Math.max.apply(null, rows.map(row => row[i].length)));
+
+    console.log('data for ' + file + ':');
+
+    rows.forEach(row => console.log('  ' + row[0].padEnd(widths[0]) + '  ' + row[1].padEnd(widths[1]) + '  ' + row[2]));
+}
+
+// writes files into --dest-dir, and keeps track of them
+var output;
+
+// describes the build with --reporter
+var reporter;
+
+function build(taft, files, settings) {
+    if (settings.destDir) output = new Output(settings.destDir);
+
+    // read every page's front matter first, so each page knows about the others
+    taft.collections(files.filter(file => file !== '/dev/stdin'));
+
+    function buildPage(file) {
+        return taft.build(file, {'TAFT': taft.taftGlobal(file, settings)});
+    }
+
+    // pages that were saved, for the sitemap and feed, by output file
+    const entries = new Map();
+
+    function savePages(pages, file) {
+        const outputs = pages.map(page => page.output);
+
+        // a page rebuilt in watch mode may no longer make all of its old outputs
+        entries.forEach((entry, key) => {
+            if (entry.source === file && outputs.indexOf(key) === -1) entries.delete(key);
+        });
+
+        // paginated pages come back as a list, each with its own path
+        pages.forEach(page => {
+            if (page.error && !program.keepGoing) {
+                // an earlier version isn't an orphan
+                if (output) output.keep(page.output);
+                return;
+            }
+            save(taft, page.output, page.content, {kind: 'page', source: file});
+            entries.set(page.output, Object.assign({source: file}, page.entry));
+        });
+    }
+
+    function buildFile(file) {
+        savePages(jobs.pages(taft, file, settings), file);
+    }
+
+    // assets are copied first, since pages point to them
+    function copyAssets() {
+        const assets = taft.assets();
+
+        if (assets.size() === 0) return;
+
+        // an asset that can't be copied is an error, like a page that can't be built
+        const copy = (source, file) => {
+            try {
+                return output.copy(source, file);
+            } catch (e) {
+                taft._error(errors.wrap(e, {file: source, kind: 'asset', text: ''}));
+                return false;
+            }
+        };
+
+        assets.copy(settings.destDir, copy).forEach(file => {
+            if (reporter) reporter.event('write', {output: file, kind: 'asset'});
+            else if (program.silent !== true) console.log(file);
+        });
+
+        save(taft, program.assetManifest || path.join(settings.destDir, 'assets.json'), JSON.stringify(assets.manifest(), null, 2) + '\n', {kind: 'manifest'});
+    }
+
+    function writeFeeds() {
+        const options = {url: program.siteUrl, title: program.feedTitle, author: program.feedAuthor, path: program.feed};
+        const list = Array.from(entries.values());
+
+        if (program.sitemap)
+            save(taft, path.join(settings.destDir, 'sitemap.xml'), feeds.sitemap(list, options), {kind: 'sitemap'});
+
+        if (program.feed)
+            save(taft, path.join(settings.destDir, program.feed), feeds[program.feedFormat || 'atom'](list, options), {kind: 'feed'});
+    }
+
+    // delete orphans, or say that they're there
+    function tidy() {
+        if (!output) return;
+
+        if (program.clean)
+            output.clean().forEach(file => taft.info('deleted ' + file));
+
+        else if (output.orphans().length) {
+            const count = output.orphans().length;
+            taft.info(settings.destDir + ' has ' + count + (count === 1 ? ' file' : ' files') + ' from earlier builds (--clean deletes them)');
+        }
+
+        output.save();
+    }
+
+    function finish() {
+        writeFeeds();
+        tidy();
+
+        if (taft.errors.length && !program.keepGoing) {
+            taft.info(taft.errors.length + (taft.errors.length === 1 ? ' error' : ' errors'));
+            if (!program.watch) process.exitCode = 1;
+        }
+
+        if (reporter) reporter.summary(process.exitCode || 0);
+
+        if (program.watch) {
+            new Watcher(taft, files, file => {
+                // forget the errors from this page's last build
+                taft.errors = taft.errors.filter(error => error.source !== file && error.file !== file);
+                buildFile(file);
+                writeFeeds();
+                if (output) output.save();
+            })
+            // assets are copied again before the pages that link to them are rebuilt
+            .also(taft.assets().sources(), () => {
+                copyAssets();
+                if (output) output.save();
+            });
+            taft.info('watching for changes');
+        }
+    }
+
+    if (program.serve) {
+        const port = (program.serve === true) ? 8000 : Number(program.serve),
+            pages = new Map(files.map(file => [urlPath(file, settings.ext), file]));
+
+        const server = new Server({pages: pages, render: buildPage, ext: settings.ext, static: program.static, assets: taft.assets().urls()})
+            .listen(port, () => taft.info('serving at http://localhost:' + server.address().port + '/'));
+
+        new Watcher(taft, files, () => server.reload());
+        return;
+    }
+
+    copyAssets();
+
+    if (program.jobs > 1 && files.indexOf('/dev/stdin') === -1) {
+        const jobOptions = {jobs: program.jobs, taft: options};
+        var built = 0;
+
+        return jobs.build(taft, files, settings, jobOptions, result => {
+            // print what the worker would have printed, in the order of the files
+            result.log.forEach(entry => taft[entry[0]].apply(taft, entry.slice(1)));
+            result.pages.forEach(page => { if (page.error) taft.errors.push(page.error); });
+
+            // workers can't see each other's pages, so outputs are claimed here
+            const error = jobs.claim(taft, result);
+            if (error) taft._error(error);
+
+            savePages(result.pages, result.file);
+            built++;
+        })
+        .catch(e => {
+            taft.info('building on one thread (' + e.message + ')');
+            files.slice(built).forEach(buildFile);
+        })
+        .then(finish);
+    }
+
+    files.forEach(buildFile);
+    finish();
+}
+
+// files are written as they're built, so they're listed in a predictable order.
+// Files in --dest-dir that haven't changed are left alone.
+// details says what kind of file it is, and its source, for --reporter
+function save(taft, file, content, details) {
+    try {
+        var written = true;
+
+        if (output && output.owns(file))
+            written = output.write(file, content);
+
+        // opening /dev/stdout fails when it's a socket
+        else if (file === '/dev/stdout')
+            process.stdout.write(content);
+
+        else {
+            // Save files, create folders
+            mkdirp.sync(path.dirname(file));
+            fs.writeFileSync(file, content, 'utf8');
+        }
+
+        if (reporter)
+            reporter.event('write', Object.assign({output: file}, details, {unchanged: !written}));
+
+        else if (!written) {
+            if (program.verbose && !program.silent) console.error('unchanged: ' + file);
+        }
+
+        else if (program.silent !== true && file !== '/dev/stdout')
+            console.log(file);
+
+    } catch (e) {
+        taft._error(errors.wrap(e, {file: file, kind: 'write', text: ''}));
+        process.exitCode = 1;
+    }
+}
+
+configure();
+
 // setup options
 // include ENV variables in data
 const options = {
     layouts: program.layout || undefined,
     partials: program.partial || undefined,
-    data: program.data.concat({ENV: process.env}),
+    data: program.data.concat(program.dataDir, {ENV: process.env}),
     helpers: program.helper || undefined,
     verbose: program.verbose || false,
     silent: program.silent || false,
     defaultLayout: program.defaultLayout || undefined,
+    layoutDir: program.layoutDir,
+    assets: program.assets,
+    assetHash: program.assetHash,
+    partialDir: program.partialDir,
+    cwd: program.cwd,
+    permalink: program.permalink,
+    markdown: program.markdown,
+    csvTypes: program.csvTypes,
+    mergeStrategy: program.merge,
+    collisions: program.collisions,
+    namespace: program.namespace,
+    mergeIndex: program.mergeIndex,
+    cache: program.cache,
+    cacheDir: program.cacheDir,
 };
 
 // render files after checking quality of the args
@@ -25,9 +25,20 @@ const fs = require('rw'),
     path = require('path'),
     merge = require('merge'),
     mergeGlob = require('./lib/merge-glob'),
+    mergeData = require('./lib/merge-data'),
     Content = require('./lib/content'),
     Data = require('./lib/data'),
-    gm = require('gray-matter');
+    references = require('./lib/references'),
+    paginate = require('./lib/paginate'),
+    permalink = require('./lib/permalink'),
+    TemplateCache = require('./lib/cache'),
+    markdown = require('./lib/markdown'),
+    blocks = require('./lib/blocks'),
+    Assets = require('./lib/assets'),
+    errors = require('./lib/errors'),
+    matter = require('./lib/matter'),
+    mkdirp = require('mkdirp'),
+    version = require('./package.json').version;
 
 function flatten(args) {
     return Array.prototype.concat.apply([], [].slice.call(args));
@@ -37,9 +48,29 @@ function stripExtname(file) {
     return path.basename(file, path.extname(file));
 }
 
+// A layout or partial is named by its path from dir, without the extension (blog/card),
+// if it's in dir. Otherwise it's named by its base name.
+function templateName(file, dir) {
+    const relative = dir ? path.relative(dir, file) : '..';
+
+    if (relative.split(path.sep)[0] === '..' || path.isAbsolute(relative)) return stripExtname(file);
+
+    return relative.slice(0, -path.extname(relative).length || undefined).split(path.sep).join('/');
+}
+
+// The page's URL is available to templates as {{url}}, {{page.url}} in layouts and {{TAFT.url}}
+function withUrl(data, url) {
+    const extra = {url: url};
+
+    if (data && typeof data.TAFT === 'object')
+        extra.TAFT = merge(true, data.TAFT, {url: url});
+
+    return merge(true, data, extra);
+}
+
 function taft(file, options) {
-    return new Taft(options)
-        .build(file).toString();
+    // paginated pages come back as a list
+    return [].concat(new Taft(options).build(file)).join('');
 }
 
 module.exports = Taft;
@@ -52,25 +83,70 @@ module.exports.taft = taft;
  * @param {object} options
  */
 function Taft(options) {
-    if (!(this instanceof Taft)) return new Taft(options || {});
+    if (!(this instanceof Taft)) return new Taft(options);
+
+    options = options || {};
+    this._options = Object.assign({}, options);
+
+    // Each Taft gets its own Handlebars, so helpers and partials don't leak between them.
+    // Pass options.handlebars to share one.
+    this.Handlebars = options.handlebars || require('handlebars').create();
 
-    this._options = options || {};
+    // {{#block}} and {{#content}}, for layouts with named regions
+    blocks(this.Handlebars);
 
-    this.Handlebars = options.handlebars || require('handlebars');
+    // files copied to the destination as they are, and {{asset}} to find their URLs,
+    // unless a shared Handlebars already has a helper of that name
+    this._assets = new Assets({cwd: options.cwd, hash: options.assetHash});
+    if (!this.Handlebars.helpers.asset) this.Handlebars.registerHelper('asset', name => this._assets.url(name));
+
+    // compiled templates, by content hash
+    this._templates = new TemplateCache(this.Handlebars, {
+        cache: options.cache,
+        dir: options.cacheDir,
+        warn: msg => this.info(msg),
+    });
 
     this.silent = options.silent || false;
     this.verbose = options.verbose || false;
 
+    this._markdown = markdown(options.markdown);
+
+    // TemplateErrors from building pages and reading data
+    this.errors = [];
+
     // initialize "private" globals
     this._data = {};
     this._helpers = [];
     this._layouts = new Map();
+    this._outputs = new Map();
+    this._collected = new Map();
+    // the data and collections together, made when first needed
+    this._globalData = undefined;
+
+    // data that's still loading, from JavaScript files that return Promises
+    this._loading = new Set();
+
+    // how data sources are merged, and what happens when they set the same key
+    this._strategy = options.mergeStrategy || 'replace';
+    this._collisions = new Set();
 
+    // keep track of where things came from, so they can be reloaded
+    this._dataSources = [];
+    this._helperFiles = new Map();
+    this._layoutFiles = new Map();
+    this._partialFiles = new Map();
+
+    // every file in layoutDir and partialDir is registered, named by its path
+    const inDir = dir => dir ? path.join(dir, '**/*') : [];
+
+    // data directories are read like any other data source
     return this
-        .data(options.data || [])
+        .data([].concat(options.data || [], options.dataDir || []))
         .helpers(options.helpers || {})
-        .partials(options.partials || [])
-        .layouts(options.layouts || []);
+        .partials([].concat(options.partials || [], inDir(options.partialDir)))
+        .layouts([].concat(options.layouts || [], inDir(options.layoutDir)))
+        .assets(options.assets || []);
 }
 
 /**
@@ -84,9 +160,14 @@ Taft.prototype.layouts = function() {
     const layouts = flatten(arguments);
 
     // populate this._layouts Map
-    mergeGlob(layouts, {nodir: true}).forEach(item => 
-        this._layouts.set(stripExtname(item), item)
-    );
+    mergeGlob(layouts, {nodir: true}).forEach(item => {
+        const name = templateName(item, this._options.layoutDir);
+
+        if (this._collides('layout', name, item, this._layoutFiles.get(name))) return;
+
+        this._layouts.set(name, item);
+        this._layoutFiles.set(name, item);
+    });
 
     this.debug('added layouts: ' + Array.from(this._layouts.keys()).join(', '));
 
@@ -95,7 +176,7 @@ Taft.prototype.layouts = function() {
         this._defaultLayout = Array.from(this._layouts)[0][0];
 
     else if (this._options.defaultLayout)
-        this._defaultLayout = stripExtname(this._options.defaultLayout);
+        this._defaultLayout = this._layoutName(this._options.defaultLayout);
 
     if (this._defaultLayout)
         this.debug('set default layout to ' + this._defaultLayout);
@@ -109,7 +190,7 @@ Taft.prototype.layouts = function() {
 Taft.prototype.defaultLayout = function(layout) {
     if (typeof layout === 'undefined') return this._defaultLayout;
 
-    layout = stripExtname(layout);
+    layout = this._layoutName(layout);
 
     if (this.layouts().has(layout))
         this._defaultLayout = layout;
@@ -119,6 +200,73 @@ Taft.prototype.defaultLayout = function(layout) {
     return this;
 };
 
+/**
+ * Work out the name of a layout, which may be given with an extension or as a file
+ * @param {string} layout e.g. "post", "docs/post" or "layouts/post.hbs"
+ * @return {string} name
+ */
+Taft.prototype._layoutName = function(layout) {
+    const ext = path.extname(layout),
+        name = ext ? layout.slice(0, -ext.length) : layout;
+
+    // layouts named by base name may be given as a file
+    return (ext && !this._layouts.has(name)) ? stripExtname(layout) : name;
+};
+
+/**
+ * The layout a page uses: the one in its front matter, or else the default layout
+ * @param {object} context the page's front matter
+ * @return {string} layout, or undefined if the page has none
+ */
+Taft.prototype._pageLayout = function(context) {
+    if (context.layout === false || context.layout === 0) return;
+    return context.layout || this._defaultLayout;
+};
+
+/**
+ * Follow a chain of layouts through their front matter, stopping at the first cycle.
+ * @param {string} layout the first layout
+ * @return {Array} list of {name, file, content}. A layout that isn't registered ends the chain, without a file.
+ */
+Taft.prototype._layoutChain = function(layout) {
+    const chain = [];
+
+    while (layout) {
+        const name = this._layoutName(layout);
+
+        if (chain.some(l => l.name === name)) break;
+
+        if (!this._layoutFiles.has(name)) {
+            chain.push({name: name});
+            break;
+        }
+
+        const file = path.resolve(this._layoutFiles.get(name)),
+            source = matter.read(file);
+
+        chain.push({name: name, file: file, content: source.content || ''});
+        layout = (source.data || {}).layout;
+    }
+
+    return chain;
+};
+
+/**
+ * Check that a layout or partial's name isn't taken by another file, and report an error if it is
+ * @param {string} kind "layout" or "partial"
+ * @param {string} name
+ * @param {string} file
+ * @param {string} existing the file already registered with name, if any
+ * @return {boolean} true if the name is taken
+ */
+Taft.prototype._collides = function(kind, name, file, existing) {
+    if (!existing || path.resolve(existing) === path.resolve(file)) return false;
+
+    this._error(new errors.TemplateError(kind + ' name ' + name + ' is already used by ' + existing, {file: file, kind: kind}));
+
+    return true;
+};
+
 /**
  * Taft._getLayout(name)
  * @param {string} name Layout to get.
@@ -126,7 +274,7 @@ Taft.prototype.defaultLayout = function(layout) {
  */
 Taft.prototype._getLayout = function(name) {
     // ignore the ext if we happen to be passed one
-    if (path.extname(name) !== '') name = stripExtname(name);
+    if (path.extname(name) !== '') name = this._layoutName(name);
 
     if (!this._layouts.has(name)) {
 
@@ -139,7 +287,7 @@ Taft.prototype._getLayout = function(name) {
     var layout = this._layouts.get(name);
 
     if (typeof layout === 'string') {
-        layout = this._createTemplate(layout, {isLayout: true});
+        layout = this._createTemplate(layout, {isLayout: true, name: name});
         this._layouts.set(name, layout);
     }
 
@@ -152,6 +300,8 @@ Taft.prototype._getLayout = function(name) {
  * @param {string} layout Name of layout
  * @param {Content} content Content object to which to apply layout
  * @param {object} options
+ * @param {boolean} options.isLayout content is itself a layout
+ * @param {object} options.state the blocks filled in so far, and the layouts already applied
  * @returns {Content} the built result, with an option recursive call to layout.layout
  */
 Taft.prototype._applyLayout = function(layout, content, options) {
@@ -159,6 +309,15 @@ Taft.prototype._applyLayout = function(layout, content, options) {
 
     options = options || {};
 
+    const state = options.state || {blocks: new Map(), layouts: []},
+        name = this._layoutName(layout);
+
+    if (state.layouts.indexOf(name) > -1)
+        throw new errors.TemplateError('layout cycle: ' + state.layouts.concat(name).join(' -> '), {
+            file: this._layoutFiles.get(name) || layout,
+            kind: 'layout',
+        });
+
     try {
         const layout_template = this._getLayout(layout);
 
@@ -172,9 +331,10 @@ Taft.prototype._applyLayout = function(layout, content, options) {
         // "prefer_global": passed pageData is overridden by
         // global data, because layout is 'closer' to core of things
         // and we also have the page key handy
-        return layout_template(content.data, true);
+        return layout_template(content.data, true, {blocks: state.blocks, layouts: state.layouts.concat(name)});
 
     } catch (e) {
+        if (e instanceof errors.TemplateError) throw e;
         throw new Error('unable to render layout ' + layout + ' ('+ e.message + ')');
 
     } finally {
@@ -184,16 +344,25 @@ Taft.prototype._applyLayout = function(layout, content, options) {
 
 /**
  * @param {string} file
- * @param {object} options
+ * @param {object} options "isLayout", and the layout's "name"
  * @returns {object} a template object named (path.resolve(file))
  */
 Taft.prototype._createTemplate = function(file, options) {
-    const source = gm.read(file, {strict: true}),
-        context = source.data || {},
-        page = (source.content || '').trimLeft();
-
     options = options || {};
 
+    const text = fs.readFileSync(file, 'utf8'),
+        kind = options.isLayout ? 'layout' : 'page';
+    var source;
+
+    try {
+        source = matter(text);
+    } catch (e) {
+        throw errors.wrap(e, {file: file, kind: kind, text: text});
+    }
+
+    const context = source.data || {},
+        page = (source.content || '').trimLeft();
+
     if (context.published === false || context.published === 0) return;
 
     // Assign layout:
@@ -204,27 +373,52 @@ Taft.prototype._createTemplate = function(file, options) {
     else if (!context.layout && this._defaultLayout && !options.isLayout)
         context.layout = this._defaultLayout;
 
-    const data = merge(true, this._data, context);
+    // front matter goes over the global data the same way data sources are merged together
+    const data = (this._strategy === 'replace') ?
+            merge(true, this._globals(), context) :
+            mergeData(mergeData({}, this._globals(), {strategy: this._strategy}), context, {strategy: this._strategy}),
+        isMarkdown = markdown.isMarkdown(file, context);
 
     // anonymous function is basically a Handlebars template function, with a few spicy pickles added
-    return (function(pageData, preferGlobal) {
+    // state is passed on from the page to each of its layouts
+    const template = (function(pageData, preferGlobal, state) {
         const tplData = preferGlobal ? merge(pageData, data) : merge(true, data, pageData);
 
         // layout doesn't get overridden
-        if (tplData.layout === path.basename(file) || tplData.layout === stripExtname(file))
+        if (tplData.layout === path.basename(file) || tplData.layout === stripExtname(file) ||
+            (options.name && typeof tplData.layout === 'string' && this._layoutName(tplData.layout) === options.name))
             tplData.layout = undefined;
 
-        const template = this.Handlebars.compile(page, {knownHelpers: this._helpers});
-        const newTemplate = new Content(template(tplData), tplData);
+        var output;
 
-        return this._applyLayout(tplData.layout, newTemplate, {isLayout: options.isLayout});
+        state = state || {blocks: new Map(), layouts: []};
+
+        try {
+            output = this._templates.compile(page, {knownHelpers: this._helpers})(tplData, {data: {blocks: state.blocks}});
+
+            // Markdown is rendered after Handlebars, so helpers and partials can write Markdown
+            if (isMarkdown) output = this._markdown(output);
+
+        } catch (e) {
+            throw errors.wrap(e, {file: file, kind: kind, text: text, template: page, Handlebars: this.Handlebars});
+        }
+
+        const newTemplate = new Content(output, tplData);
+
+        return this._applyLayout(tplData.layout, newTemplate, {isLayout: options.isLayout, state: state});
     }).bind(this);
+
+    // keep the front matter handy for anything that needs to look ahead
+    template.context = context;
+
+    return template;
 };
 
 /*
- *  Takes a mixed list of files, globs, js objects, JSON, YAML, INI
+ *  Takes a mixed list of files, globs, js objects, JSON, YAML, INI, CSV, TSV and JavaScript files
  *  globs may optionally be prefixed (prefix:data/*.yaml) to direct the data into a so-named Array
  *  The pseudo-file /dev/stdin may also be prefixed to place it into an object
+ *  JavaScript files may load asynchronously. Use ready() to wait for them.
  *  @return {mixed} if passed with arguments, returns this. If passed without arguments, returns data.
  */
 Taft.prototype.data = function() {
@@ -232,9 +426,16 @@ Taft.prototype.data = function() {
 
     // argument may be a file, a glob, or an object
     flatten(arguments).forEach(function(argument) {
-        Data.parse(argument, (err, data) => {
+        // keep a place for data that arrives late, so that sources are always merged in order
+        const entry = {source: argument, data: {}},
+            start = Date.now();
+        var late = false;
+
+        this._dataSources.push(entry);
+
+        late = this._readData(argument, (err, data) => {
             if (err) {
-                this.err(err.message);
+                this._error(errors.wrap(err, {file: err.file || err.path || argument, kind: 'data', text: (err.file || err.path) ? undefined : ''}));
                 return;
             }
             try {
@@ -242,9 +443,13 @@ Taft.prototype.data = function() {
                 if (keys.length === 1)
                     this.debug("parsed " + keys[0]);
                 else if (keys.length > 1)
-                    this.debug("parsed " + argument.substr(0, 60));
+                    this.debug("parsed " + ((typeof argument === "string") ? argument.substr(0, 60) : keys.join(", ")));
 
-                merge(this._data, data);
+                entry.data = data;
+                this.report('data', {source: (typeof argument === 'string') ? argument : '(object)', keys: keys, ms: Date.now() - start});
+
+                if (late) this._mergeData();
+                else this._merge(data, argument);
 
             } catch (e) {
                 this.err('error reading ', argument, e.message);
@@ -255,7 +460,90 @@ Taft.prototype.data = function() {
     return this;
 };
 
+/**
+ * Read a data source with Data.parse, keeping track of sources that load asynchronously
+ * @param {string/object} source
+ * @param {function} callback called with an error and the data
+ * @return {boolean} true if the data will arrive later
+ */
+Taft.prototype._readData = function(source, callback) {
+    var waiting = true;
+
+    const loading = new Promise(resolve => {
+        const options = Object.assign({}, this._options, {
+            mergeStrategy: this._strategy,
+            collision: (key, file) => this._collision(key, file),
+        });
+
+        Data.parse(source, options, (err, data) => {
+            waiting = false;
+            callback(err, data);
+            resolve();
+        });
+    });
+
+    if (waiting) {
+        this._loading.add(loading);
+        loading.then(() => this._loading.delete(loading));
+    }
+
+    return waiting;
+};
+
+/**
+ * Merge every data source again, in the order they were given
+ * @return {Taft} this
+ */
+Taft.prototype._mergeData = function() {
+    this._data = {};
+    this._dataSources.forEach(entry => this._merge(entry.data, entry.source));
+    return this._forgetLayouts();
+};
+
+/**
+ * Merge data into the global data with the merge strategy
+ * @param {object} data
+ * @param {string/object} source where data came from, for collisions
+ */
+Taft.prototype._merge = function(data, source) {
+    this._globalData = undefined;
+    mergeData(this._data, data, {strategy: this._strategy, collision: key => this._collision(key, source)});
+};
+
+/**
+ * Handle a data key that's been set twice, following the "collisions" option:
+ * "warn" prints a warning, "error" records an error, and "ignore" (the default) does nothing.
+ * @param {string} key dotted name of the key
+ * @param {string/object} source the data source or file that set it again
+ */
+Taft.prototype._collision = function(key, source) {
+    const action = this._options.collisions || 'ignore',
+        file = (typeof source === 'string') ? source : '(object)',
+        message = 'data key ' + key + ' in ' + file + ' overwrites an earlier value';
+
+    // data is merged again when it changes, so only say so once
+    if (action === 'ignore' || this._collisions.has(message)) return;
+
+    this._collisions.add(message);
+
+    if (action === 'error') {
+        this._error(errors.wrap(new Error('data key ' + key + ' overwrites an earlier value'), {file: file, kind: 'data', text: ''}));
+
+    } else
+        this.err('warning: ' + message);
+};
+
+/**
+ * Wait for data that's loading asynchronously
+ * @return {Promise} resolves to this once all data has loaded
+ */
+Taft.prototype.ready = function() {
+    if (this._loading.size === 0) return Promise.resolve(this);
+    return Promise.all(Array.from(this._loading)).then(() => this.ready());
+};
+
 Taft.prototype.build = function(file, data) {
+    const start = Date.now();
     var content;
 
     try {
@@ -264,25 +552,630 @@ Taft.prototype.build = function(file, data) {
         // Ignore page when published === false
         if (!template) {
             this.debug('ignoring ' + file);
+            this.report('skip', {source: file, reason: 'published: false'});
             return;
         }
 
         this.debug('building: ' + file);
 
-        content = template(data);
+        if (template.context.paginate && template.context.each)
+            throw new Error("can't use both paginate and each");
+
+        if (template.context.paginate)
+            content = this._paginate(file, template, data);
+
+        else if (template.context.each)
+            content = this._each(file, template, data);
+
+        else {
+            const context = merge(true, this._globals(), template.context, data),
+                output = this._outputPath(file, context),
+                url = permalink.url(output);
+
+            this._claim(file, [output]);
+
+            content = template(withUrl(data, url));
+            content.url = url;
+            content.source = file;
+
+            if (context.permalink || this._options.permalink) content.path = output;
+        }
 
     } catch (err) {
         // ignore directories
         if (err.code === 'EISDIR') return;
-        this.err('error building ' + file + ': ' + err.message);
+
+        const error = errors.wrap(err, {file: file, kind: 'page'});
+        error.source = error.source || file;
+        this._error(error);
+
         content = new Content();
+        content.error = error;
+        content.source = file;
+
+        return content;
     }
 
-    content.source = file;
+    this.report('page', {source: file, pages: [].concat(content).length, ms: Date.now() - start});
 
     return content;
 };
 
+/**
+ * Build many files at once, like the command line tool does.
+ * Pages are collected first, so they can use collections.
+ * @param {string/Array} globs files or globs of pages
+ * @param {object} options
+ * @param {string} options.destDir directory to save pages in
+ * @param {string} options.cwd pages are saved relative to this directory
+ * @param {string} options.ext default extension of pages
+ * @param {boolean} options.write save the pages in destDir
+ * @param {boolean} options.keepGoing write pages that have errors, instead of skipping them
+ * @return {Promise} resolves to a list of {source, output, data, content}, one for each page built.
+ *                   Pages that failed also have an error.
+ */
+Taft.prototype.buildAll = function(globs, options) {
+    options = options || {};
+
+    // JavaScript data files may still be loading
+    return this.ready().then(() => {
+        if (options.write && !options.destDir) throw new Error('destDir is needed to write files');
+
+        // cwd, ext and the collections are only for this build
+        const saved = {options: this._options, collected: this._collected, collections: this._collections};
+        this._options = Object.assign({}, saved.options);
+        if (options.cwd) this._options.cwd = options.cwd;
+        if (options.ext) this._options.ext = String(options.ext).replace(/^\./, '');
+
+        const files = mergeGlob([].concat(globs), {nodir: true}),
+            settings = {cwd: this._options.cwd, destDir: options.destDir, ext: this._options.ext || 'html'},
+            manifest = [];
+
+        try {
+            // collections list the pages of this build, not earlier ones
+            this._collected = new Map();
+            this.collections(files);
+
+            files.forEach(file => {
+                const TAFT = this.taftGlobal(file, settings);
+
+                [].concat(this.build(file, {TAFT: TAFT}) || []).forEach(content => {
+                    const page = {
+                        source: file,
+                        output: this.outputFile(content, options.destDir),
+                        data: content.data,
+                        content: content.toString(),
+                    };
+
+                    if (content.error) page.error = content.error;
+
+                    manifest.push(page);
+                });
+            });
+        } finally {
+            this._options = saved.options;
+            this._collected = saved.collected;
+            this._collections = saved.collections;
+            this._forgetLayouts();
+        }
+
+        if (!options.write) return manifest;
+
+        const pages = manifest.filter(page => options.keepGoing || !page.error);
+
+        return Promise.all(pages.map(page => new Promise((resolve, reject) => {
+            mkdirp(path.dirname(page.output), err => {
+                if (err) return reject(err);
+                fs.writeFile(page.output, page.content, 'utf8', e => e ? reject(e) : resolve());
+            });
+        }))).then(() => manifest);
+    });
+};
+
+/**
+ * Create the TAFT global that the command line tool gives each page.
+ * @param {string} file
+ * @param {object} options cwd, destDir, ext, output (file to write to without a destDir) and version
+ * @return {object}
+ */
+Taft.prototype.taftGlobal = function(file, options) {
+    const relative = (options.cwd) ? path.relative(options.cwd, file) : file;
+
+    return {
+        version: options.version || version,
+        cwd: options.cwd,
+        destDir: options.destDir,
+        ext: String(options.ext || 'html').replace(/^\./, ''),
+        file: relative,
+        output: (options.destDir) ? path.join(options.destDir, relative) : options.output,
+    };
+};
+
+/**
+ * Work out where to save a built page.
+ * @param {Content} content from build()
+ * @param {string} destDir
+ * @return {string} the page's path in destDir
+ */
+Taft.prototype.outputFile = function(content, destDir) {
+    const output = content.path || this._outputPath(content.source, content.data.page || content.data);
+    return path.join(destDir || '.', output);
+};
+
+/**
+ * Work out where a page is saved, relative to the output directory.
+ * Uses the page's permalink or the default permalink, if there is one.
+ * @param {string} file source file
+ * @param {object} context the page's data
+ * @return {string} path, separated with slashes
+ */
+Taft.prototype._outputPath = function(file, context) {
+    const pattern = context.permalink || this._options.permalink;
+
+    if (pattern) return this._permalink(pattern, file, context);
+
+    const relative = this._relative(file),
+        ext = String(context.ext || this._options.ext || 'html').replace(/^\./, '');
+
+    return (relative.slice(0, relative.length - path.extname(relative).length) + '.' + ext)
+        .split(path.sep).join('/');
+};
+
+/**
+ * Source files are relative to cwd. Without one, they're used as given, like the command line tool does.
+ * @param {string} file
+ * @return {string}
+ */
+Taft.prototype._relative = function(file) {
+    return this._options.cwd ? path.relative(path.resolve(this._options.cwd), path.resolve(file)) : path.normalize(file);
+};
+
+/**
+ * Expand a permalink pattern into an output path.
+ * First :tokens (:dir, :basename, :slug, :date, :year, :month, :day, :ext
+ * and the page's own keys) are filled in, then it's rendered as a Handlebars template.
+ * @param {string} pattern
+ * @param {string} file source file
+ * @param {object} context the page's data
+ * @return {string} path, separated with slashes
+ * @throws {TemplateError} when the path has a ".." in it
+ */
+Taft.prototype._permalink = function(pattern, file, context) {
+    const relative = this._relative(file),
+        ext = String(context.ext || this._options.ext || 'html').replace(/^\./, '');
+
+    var link = permalink.expand(pattern, permalink.tokens(relative, context, ext));
+
+    if (link.indexOf('{{') > -1)
+        link = this._templates.compile(link, {knownHelpers: this._helpers, noEscape: true})(context);
+
+    const output = permalink.normalize(link, ext);
+
+    // pages are saved inside the destination
+    if (output.split(/[\/\\]/).indexOf('..') > -1)
+        throw new errors.TemplateError("permalinks can't go up a directory: " + output, {file: file, kind: 'page'});
+
+    return output;
+};
+
+/**
+ * Record the output paths of a source file, throwing an error when
+ * another source has already claimed one of them.
+ * @param {string} file source file
+ * @param {Array} outputs
+ */
+Taft.prototype._claim = function(file, outputs) {
+    file = path.resolve(file);
+
+    // a file that's rebuilt may have moved
+    this._outputs.forEach((source, output) => {
+        if (source === file) this._outputs.delete(output);
+    });
+
+    outputs.forEach(output => {
+        if (this._outputs.has(output)) {
+            const other = this._outputs.get(output);
+            throw new Error(output + ' would be overwritten by ' + (other === file ? 'another page from the same file' : other));
+        }
+        this._outputs.set(output, file);
+    });
+};
+
+/**
+ * Build a page once for each page of a list, as set in its "paginate" front matter.
+ * Each result has a path and a url, and the template gets a "pagination" object.
+ * By default, the first page is saved at the usual place and the rest
+ * at dir/basename/page/N.html. Set "permalink" to change that.
+ * @param {string} file
+ * @param {function} template from _createTemplate
+ * @param {object} data
+ * @return {Array} Content objects
+ */
+Taft.prototype._paginate = function(file, template, data) {
+    const pages = this._paginatePages(file, merge(true, this._globals(), template.context, data));
+
+    this._claim(file, pages.map(pagination => pagination.path));
+
+    return pages.map(pagination => {
+        const content = template(merge(true, withUrl(data, pagination.url), {pagination: pagination}));
+        content.source = file;
+        content.path = pagination.path;
+        content.url = pagination.url;
+        return content;
+    });
+};
+
+/**
+ * Work out the pages of a paginated page, without building them
+ * @param {string} file
+ * @param {object} context the page's data
+ * @return {Array} a "pagination" object for each page, with its path and url
+ */
+Taft.prototype._paginatePages = function(file, context) {
+    const settings = (typeof context.paginate === 'object') ? context.paginate : {data: context.paginate},
+        items = paginate.lookup(context, settings.data),
+        size = Number(settings.size) || 10;
+
+    if (!Array.isArray(items))
+        throw new Error('unable to paginate ' + file + ': ' + settings.data + ' is not a list');
+
+    const first = this._outputPath(file, context);
+
+    const pathFor = (page, pages) => {
+        if (settings.permalink)
+            return this._permalink(settings.permalink, file, merge(true, context, {pagination: {page: page, pages: pages}}));
+
+        return (page === 1) ? first :
+            first.slice(0, first.length - path.extname(first).length) + '/page/' + page + path.extname(first);
+    };
+
+    return paginate(items, size, pathFor);
+};
+
+/**
+ * Build a page once for each item in a list, as set in its "each" front matter.
+ * The item is available in the template as "item", or the name given in "alias".
+ * The "permalink" is expanded with the item's keys, so "products/{{slug}}.html" works.
+ * Without a permalink, pages are saved at dir/basename/N.html.
+ * @param {string} file
+ * @param {function} template from _createTemplate
+ * @param {object} data
+ * @return {Array} Content objects
+ */
+Taft.prototype._each = function(file, template, data) {
+    const pages = this._eachPages(file, merge(true, this._globals(), template.context, data));
+
+    this._claim(file, pages.map(page => page.path));
+
+    return pages.map(page => {
+        const content = template(merge(true, withUrl(data, page.url), page.data));
+        content.source = file;
+        content.path = page.path;
+        content.url = page.url;
+        return content;
+    });
+};
+
+/**
+ * Work out the pages built from each item of a list, without building them
+ * @param {string} file
+ * @param {object} context the page's data
+ * @return {Array} list of {data, path, url}, where data has the item and its index
+ */
+Taft.prototype._eachPages = function(file, context) {
+    const settings = (typeof context.each === 'object') ? context.each : {data: context.each},
+        items = paginate.lookup(context, settings.data),
+        alias = settings.alias || 'item';
+
+    if (!Array.isArray(items))
+        throw new Error('unable to build pages from ' + file + ': ' + settings.data + ' is not a list');
+
+    const first = this._outputPath(file, context);
+
+    return items.map((item, i) => {
+        const itemData = {index: i};
+        itemData[alias] = item;
+
+        const output = settings.permalink ?
+            this._permalink(settings.permalink, file, merge(true, context, item, itemData)) :
+            first.slice(0, first.length - path.extname(first).length) + '/' + (i + 1) + path.extname(first);
+
+        return {data: itemData, path: output, url: permalink.url(output)};
+    });
+};
+
+/**
+ * Work out what building a page would do, without building it.
+ * @param {string} file
+ * @param {object} data extra data, as for build()
+ * @return {object} {source, published, layouts, missing, pages}. layouts lists the names of the page's chain of layouts,
+ *                  and missing the ones in it that aren't registered.
+ *                  pages has a {source, path, url, data} for each page that would be built, like the Content from build(),
+ *                  and is empty when the page isn't published.
+ */
+Taft.prototype.plan = function(file, data) {
+    const context = matter.read(file).data || {},
+        published = !(context.published === false || context.published === 0),
+        chain = this._layoutChain(this._pageLayout(context)),
+        layouts = chain.map(layout => layout.name),
+        missing = chain.filter(layout => !layout.file).map(layout => layout.name);
+
+    if (!published) return {source: file, published: published, layouts: layouts, missing: missing, pages: []};
+
+    if (context.paginate && context.each)
+        throw new Error("can't use both paginate and each");
+
+    const merged = merge(true, this._globals(), context, data),
+        explicit = Boolean(context.paginate || context.each || merged.permalink || this._options.permalink);
+
+    var pages;
+
+    if (context.paginate) pages = this._paginatePages(file, merged);
+    else if (context.each) pages = this._eachPages(file, merged);
+    else pages = [{path: this._outputPath(file, merged)}];
+
+    return {
+        source: file,
+        published: published,
+        layouts: layouts,
+        missing: missing,
+        pages: pages.map(page => ({source: file, path: explicit ? page.path : undefined, url: permalink.url(page.path), data: merged})),
+    };
+};
+
+/**
+ * Show the data a page is built with, and where each of its top-level keys came from.
+ * Paginated pages show the data of their first page.
+ * @param {string} file
+ * @param {object} data extra data, as for build()
+ * @return {object} {data, sources}. sources maps each key to a list of where it was set: a data source
+ *                  ('(object)' for data that wasn't read from a file), 'collections', 'front matter',
+ *                  'default layout' or 'build', for data passed to build() and the page's url.
+ */
+Taft.prototype.explain = function(file, data) {
+    const context = matter.read(file).data || {},
+        sources = {};
+
+    // with the "deep" and "concat" strategies, objects set by more than one source are merged
+    const add = (values, source) => Object.keys(values).forEach(key => {
+        const merged = this._strategy !== 'replace' && sources[key] && values[key] && typeof values[key] === 'object';
+        sources[key] = merged ? sources[key].concat(source) : [source];
+    });
+
+    this._dataSources.forEach(entry => add(entry.data, (typeof entry.source === 'string') ? entry.source : '(object)'));
+
+    if (this._collections) add({collections: this._collections}, 'collections');
+
+    add(context, 'front matter');
+
+    if (this._pageLayout(context) && !context.layout) {
+        context.layout = this._defaultLayout;
+        sources.layout = ['default layout'];
+    }
+
+    const globals = (this._strategy === 'replace') ?
+            merge(true, this._globals(), context) :
+            mergeData(mergeData({}, this._globals(), {strategy: this._strategy}), context, {strategy: this._strategy}),
+        plan = this.plan(file, data),
+        url = plan.pages.length ? plan.pages[0].url : permalink.url(this._outputPath(file, merge(true, globals, data))),
+        extra = withUrl(data, url);
+
+    // data passed to build() goes over the rest
+    Object.keys(extra).forEach(key => sources[key] = ['build']);
+
+    return {data: merge(true, globals, extra), sources: sources};
+};
+
+/**
+ * List the files that a page depends on: the page itself, its chain of layouts,
+ * the partials and helper modules that it (or its layouts and partials) names,
+ * every data file, since any page may use any piece of data,
+ * and every collected page, if it uses collections.
+ * @param {string} file
+ * @return {Set} absolute paths
+ */
+Taft.prototype.dependencies = function(file) {
+    file = path.resolve(file);
+
+    const deps = new Set([file]),
+        partials = new Set(),
+        helpers = new Set(),
+        data = new Set();
+
+    const scan = source => {
+        try {
+            const refs = references(this.Handlebars, source);
+            refs.partials.forEach(p => partials.add(p));
+            refs.helpers.forEach(h => helpers.add(h));
+            refs.data.forEach(d => data.add(d));
+        } catch (err) {
+            this.debug('unable to find references in ' + file + ': ' + err.message);
+        }
+    };
+
+    const page = matter.read(file),
+        context = page.data || {};
+
+    scan(page.content || '');
+
+    [context.paginate, context.each].forEach(setting => {
+        const key = (setting && typeof setting === 'object') ? setting.data : setting;
+        if (key) data.add(String(key).split('.')[0]);
+    });
+
+    this._layoutChain(this._pageLayout(context)).forEach(layout => {
+        if (!layout.file) return;
+        deps.add(layout.file);
+        scan(layout.content);
+    });
+
+    // partials may refer to other partials, so partials grows while it's looped over
+    partials.forEach(name => {
+        if (!this._partialFiles.has(name)) return;
+
+        const partialFile = path.resolve(this._partialFiles.get(name));
+        deps.add(partialFile);
+        scan(fs.readFileSync(partialFile, 'utf8'));
+    });
+
+    this._helperFiles.forEach((names, helperFile) => {
+        if (names.some(name => helpers.has(name))) deps.add(helperFile);
+    });
+
+    // a page's links to assets change with their hashes
+    if (helpers.has('asset') && this._assets.hash)
+        this._assets.sources().forEach(source => deps.add(path.resolve(source)));
+
+    // a page that lists other pages depends on all of them
+    if (data.has('collections')) this._collected.forEach((f, resolved) => deps.add(resolved));
+
+    this._dataSources.forEach(entry =>
+        Data.files(entry.source).forEach(f => deps.add(path.resolve(f)))
+    );
+
+    return deps;
+};
+
+/**
+ * Re-read a layout, partial, helper module, data file or asset that has changed on disk.
+ * Compiled layouts are dropped, so they will be recreated with the new contents.
+ * @param {string} file
+ * @return {Taft} this
+ */
+Taft.prototype.reload = function(file) {
+    file = path.resolve(file);
+
+    const matches = f => path.resolve(f) === file;
+
+    this._partialFiles.forEach((partialFile, name) => {
+        if (!matches(partialFile)) return;
+        this.debug('reloading partial ' + name);
+        this.Handlebars.registerPartial(name, this._partialTemplate(partialFile, fs.readFileSync(partialFile, 'utf8')));
+    });
+
+    if (this._helperFiles.has(file)) {
+        const names = this._helperFiles.get(file);
+        this.debug('reloading helpers: ' + names.join(', '));
+        names.forEach(name => this.Handlebars.unregisterHelper(name));
+        this._helpers = this._helpers.filter(name => names.indexOf(name) === -1);
+        this._helperFiles.delete(file);
+        delete require.cache[file];
+        this.helpers(file);
+    }
+
+    const sources = this._dataSources.filter(entry => Data.files(entry.source).some(matches));
+
+    if (sources.length) {
+        sources.forEach(entry => {
+            this.debug('reloading data from ' + file);
+
+            var late = false;
+
+            late = this._readData(entry.source, (err, data) => {
+                if (err) this.err(err.message);
+                else if (data) entry.data = data;
+                if (late) this._mergeData();
+            });
+        });
+
+        this._mergeData();
+    }
+
+    if (this._assets.update(file)) this.debug('reloading asset ' + file);
+
+    // a page's front matter may have changed
+    if (this._collected.has(file)) this.collections([]);
+
+    return this._forgetLayouts();
+};
+
+/**
+ * Compiled layouts and the merged globals hold a copy of the data, so they're dropped when anything changes.
+ * @return {Taft} this
+ */
+Taft.prototype._forgetLayouts = function() {
+    this._globalData = undefined;
+    this._layoutFiles.forEach((layoutFile, name) => this._layouts.set(name, layoutFile));
+    return this;
+};
+
+/**
+ * @return {object} data available to every template: the data, and collections if there are any.
+ *                  It's the same object until the data or collections change.
+ */
+Taft.prototype._globals = function() {
+    if (!this._collections) return this._data;
+
+    if (!this._globalData) this._globalData = merge(true, this._data, {collections: this._collections});
+
+    return this._globalData;
+};
+
+/**
+ * Read the front matter of pages into collections, which every template can use as {{collections}}.
+ * Published pages are listed in "all", by their tags in "tags" and by their directory (relative to cwd) in "dirs".
+ * Each entry has the page's source, url and front matter (data). Lists are sorted by date, newest first,
+ * with undated pages last.
+ * @return {object/Taft} if passed without arguments, returns the collections. Otherwise, adds the pages and returns this.
+ */
+Taft.prototype.collections = function() {
+    if (arguments.length === 0) return this._collections;
+
+    mergeGlob(flatten(arguments), {nodir: true}).forEach(file => this._collected.set(path.resolve(file), file));
+
+    const collections = {all: [], tags: {}, dirs: {}};
+
+    const add = (list, key, entry) => {
+        list[key] = list[key] || [];
+        list[key].push(entry);
+    };
+
+    this._collected.forEach(file => {
+        var context;
+
+        try {
+            context = matter.read(file).data || {};
+        } catch (err) {
+            // a page that was deleted, e.g. while watching, isn't listed any more
+            if (err.code === 'ENOENT') {
+                this._collected.delete(path.resolve(file));
+                return;
+            }
+            this.err('error reading ' + file + ': ' + err.message);
+            return;
+        }
+
+        if (context.published === false || context.published === 0) return;
+
+        const entry = {
+            source: file,
+            url: permalink.url(this._outputPath(file, merge(true, this._data, context))),
+            data: context,
+        };
+
+        collections.all.push(entry);
+
+        [].concat(context.tags || []).forEach(tag => add(collections.tags, tag, entry));
+
+        add(collections.dirs, path.dirname(this._relative(file)).split(path.sep).join('/'), entry);
+    });
+
+    const time = entry => entry.data.date ? new Date(entry.data.date).getTime() || -Infinity : -Infinity,
+        byDate = list => list
+            .map((entry, i) => ({entry: entry, i: i, time: time(entry)}))
+            .sort((a, b) => (b.time - a.time) || (a.i - b.i))
+            .map(x => x.entry);
+
+    collections.all = byDate(collections.all);
+    Object.keys(collections.tags).forEach(tag => collections.tags[tag] = byDate(collections.tags[tag]));
+    Object.keys(collections.dirs).forEach(dir => collections.dirs[dir] = byDate(collections.dirs[dir]));
+
+    this._collections = collections;
+    this.debug('collected ' + collections.all.length + ' pages');
+
+    return this._forgetLayouts();
+};
+
 Taft.prototype.helpers = function() {
     if (arguments.length === 0) return Object.keys(this.Handlebars.helpers);
 
@@ -291,25 +1184,26 @@ Taft.prototype.helpers = function() {
 
     // yeah this is a mess but there are so many kinds of helpers.
     mergeGlob(helpers, {nodir: true}).forEach(h => {
-        var module;
+        const before = new Set(Object.keys(this.Handlebars.helpers));
+        var module, resolved;
 
         try {
             if (typeof h === 'object') {
                 this.Handlebars.registerHelper(h);
 
             } else if (typeof h === 'string') {
-                // load the module
+                // find and load the module
                 try {
-                    require.resolve(h);
-                    module = require(h);
+                    resolved = require.resolve(h);
                 } catch (err) {
-                    if (err.code === 'MODULE_NOT_FOUND')
-                        try {
-                            module = require(path.join(process.cwd(), h));
-                        } catch (e) {
-                            module = require(path.join(process.cwd(), 'node_modules', h));
-                        }
+                    if (err.code !== 'MODULE_NOT_FOUND') throw err;
+                    try {
+                        resolved = require.resolve(path.join(process.cwd(), h));
+                    } catch (e) {
+                        resolved = require.resolve(path.join(process.cwd(), 'node_modules', h));
+                    }
                 }
+                module = require(resolved);
 
                 // register the module one of a couple of ways
                 if (module.register)
@@ -323,7 +1217,7 @@ Taft.prototype.helpers = function() {
                             this.Handlebars.registerHelper(h.replace(/^helper-/, ''), module);
                         }
                         
-                        if (Object.keys(this.Handlebars.helpers).length === current.size)
+                        if (Object.keys(this.Handlebars.helpers).length === before.size)
                             throw new Error("Registering by passing function in " + h + " didn't work. Trying another way");
 
                     } catch (err) {
@@ -336,10 +1230,16 @@ Taft.prototype.helpers = function() {
                 else
                     throw new Error("Didn't find a function or object in " + h);
 
+                this._helperFiles.set(resolved,
+                    Object.keys(this.Handlebars.helpers).filter(e => !before.has(e)));
+
             } else {
                 this.err('ignoring helper because it\'s a ' + typeof h + '. Expected an object or the name of a module');
             }
 
+            Object.keys(this.Handlebars.helpers).filter(e => !before.has(e))
+                .forEach(name => this.report('helper', {name: name, source: resolved || '(object)'}));
+
         } catch (err) {
             this.err("error registering helper '" + h + "': " + err.message);
         }
@@ -366,16 +1266,19 @@ Taft.prototype.partials = function() {
 
             for (var name in partial) {
                 if (partial.hasOwnProperty(name)) {
-                    this.Handlebars.registerPartial(name, partials[name]);
+                    this.Handlebars.registerPartial(name, partial[name]);
                     registered.push(name);
                 }
             }
 
         } else {
-            var p = stripExtname(partial);
+            var p = templateName(partial, this._options.partialDir);
+
+            if (this._collides('partial', p, partial, this._partialFiles.get(p))) return;
 
             try {
-                this.Handlebars.registerPartial(p, fs.readFileSync(partial, 'utf8'));
+                this.Handlebars.registerPartial(p, this._partialTemplate(partial, fs.readFileSync(partial, 'utf8')));
+                this._partialFiles.set(p, partial);
                 registered.push(p);
             } catch (err) {
                 if (err.code !== 'EISDIR')
@@ -390,6 +1293,62 @@ Taft.prototype.partials = function() {
     return this;
 };
 
+/**
+ * Add static assets, such as stylesheets and images, which are copied to the destination as they are.
+ * Templates get their URLs with {{asset "css/site.css"}}.
+ * @return {Assets/Taft} if passed without arguments, returns the Assets. Otherwise, returns this
+ */
+Taft.prototype.assets = function() {
+    if (arguments.length === 0) return this._assets;
+
+    mergeGlob(flatten(arguments), {nodir: true}).forEach(file => {
+        try {
+            this._assets.add(file);
+        } catch (err) {
+            this._error(errors.wrap(err, {file: err.file, kind: 'asset', text: ''}));
+        }
+    });
+
+    if (this._assets.size()) this.debug('added assets: ' + Object.keys(this._assets.manifest()).join(', '));
+
+    return this;
+};
+
+/**
+ * Wrap a partial, so that its errors say where they came from. It's compiled when it's first used.
+ * @param {string} file
+ * @param {string} text contents of the partial
+ * @return {function} a Handlebars template
+ */
+Taft.prototype._partialTemplate = function(file, text) {
+    return (context, options) => {
+        try {
+            return this._templates.compile(text)(context, options);
+        } catch (e) {
+            throw errors.wrap(e, {file: file, kind: 'partial', text: text, Handlebars: this.Handlebars});
+        }
+    };
+};
+
+/**
+ * Keep an error in this.errors, and say what went wrong
+ * @param {TemplateError} error
+ */
+Taft.prototype._error = function(error) {
+    this.errors.push(error);
+    this.err(errors.format(error));
+    this.report('error', {message: error.message, kind: error.kind, file: error.file, source: error.source, line: error.line, column: error.column});
+};
+
+/**
+ * Pass an event to options.report, for tools that follow along with a build
+ * @param {string} event "data", "helper", "page", "skip" or "error"
+ * @param {object} details
+ */
+Taft.prototype.report = function(event, details) {
+    if (this._options.report) this._options.report(event, details);
+};
+
 Taft.prototype.err = function(msg) { console.error(msg); };
 
 Taft.prototype.info = function(msg) {
@@ -0,0 +1,176 @@
+/*
+ * taft: generate files with Handlebars
+ * Copyright (C) 2016 Neil Freeman
+
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+*/
+/* jshint esversion: 6, node: true */
+
+'use strict';
+
+const fs = require('fs'),
+    path = require('path'),
+    crypto = require('crypto'),
+    mkdirp = require('mkdirp'),
+    mergeGlob = require('./merge-glob');
+
+// an asset's name: its path from cwd, with forward slashes
+function nameOf(file, cwd) {
+    return path.relative(cwd, file).split(path.sep).join('/');
+}
+
+/**
+ * Assets are files that are copied to the destination as they are, such as stylesheets,
+ * scripts and images. Each keeps its path relative to cwd, optionally with a hash of
+ * its contents added to the name (css/site.css becomes css/site.5d41402a.css).
+ * @constructor
+ * @this {Assets}
+ * @param {object} options
+ * @param {string} options.cwd names are relative to this directory (default: the current directory)
+ * @param {boolean} options.hash add content hashes to file names
+ */
+function Assets(options) {
+    if (!(this instanceof Assets)) return new Assets(options);
+
+    options = options || {};
+
+    this.cwd = options.cwd || '.';
+    this.hash = options.hash || false;
+
+    // name => {source, output}
+    this._assets = new Map();
+
+    return this;
+}
+
+/**
+ * @param {Array} globs files and globs. Files that can't be found, or that are outside cwd, throw an error.
+ * @return {Assets} this
+ */
+Assets.prototype.add = function(globs) {
+    const fail = (file, message) => {
+        const err = new Error(message);
+        err.file = file;
+        throw err;
+    };
+
+    mergeGlob([].concat(globs), {nodir: true}).forEach(file => {
+        const name = nameOf(file, this.cwd);
+
+        if (!fs.existsSync(file))
+            fail(file, 'could not find asset');
+
+        if (name.split('/')[0] === '..' || path.isAbsolute(name))
+            fail(file, 'assets must be inside ' + this.cwd);
+
+        this._assets.set(name, {source: file, output: this.hash ? hashed(file, name) : name});
+    });
+
+    return this;
+};
+
+/**
+ * Add a hash of a file's contents to its name
+ * @param {string} file
+ * @param {string} name
+ * @return {string}
+ */
+function hashed(file, name) {
+    const ext = path.posix.extname(name),
+        hash = crypto.createHash('sha1').update(fs.readFileSync(file)).digest('hex').slice(0, 8);
+
+    return name.slice(0, name.length - ext.length) + '.' + hash + ext;
+}
+
+/**
+ * @return {Array} the source file of each asset
+ */
+Assets.prototype.sources = function() {
+    return Array.from(this._assets.values()).map(asset => asset.source);
+};
+
+/**
+ * Work out an asset's name again after its file changes, since its hash may have too
+ * @param {string} file
+ * @return {boolean} true if file is an asset
+ */
+Assets.prototype.update = function(file) {
+    var found = false;
+
+    this._assets.forEach((asset, name) => {
+        if (path.resolve(asset.source) !== path.resolve(file)) return;
+        if (this.hash) asset.output = hashed(asset.source, name);
+        found = true;
+    });
+
+    return found;
+};
+
+/**
+ * @return {number} the number of assets
+ */
+Assets.prototype.size = function() {
+    return this._assets.size;
+};
+
+/**
+ * @param {string} name e.g. "css/site.css". A leading slash is ignored.
+ * @return {string} URL of the asset, e.g. "/css/site.5d41402a.css"
+ */
+Assets.prototype.url = function(name) {
+    const key = String(name).replace(/^\.?\//, '');
+
+    if (!this._assets.has(key)) throw new Error('unknown asset: ' + name);
+
+    return '/' + this._assets.get(key).output;
+};
+
+/**
+ * @return {object} maps each asset's name to the path it's saved at
+ */
+Assets.prototype.manifest = function() {
+    const result = {};
+    this._assets.forEach((asset, name) => { result[name] = asset.output; });
+    return result;
+};
+
+/**
+ * @return {Map} maps each asset's URL to its source file
+ */
+Assets.prototype.urls = function() {
+    return new Map(Array.from(this._assets.values()).map(asset => ['/' + asset.output, asset.source]));
+};
+
+/**
+ * Copy every asset into a directory
+ * @param {string} destDir
+ * @param {function} copy (optional) called with each source and destination, instead of copying.
+ *                        Returns false if it didn't need to copy the file.
+ * @return {Array} the files copied
+ */
+Assets.prototype.copy = function(destDir, copy) {
+    copy = copy || function(source, output) {
+        mkdirp.sync(path.dirname(output));
+        fs.copyFileSync(source, output);
+    };
+
+    return Array.from(this._assets.values())
+        .map(asset => {
+            const output = path.join(destDir, asset.output);
+            return (copy(asset.source, output) === false) ? undefined : output;
+        })
+        .filter(Boolean);
+};
+
+module.exports = Assets;
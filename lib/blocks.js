@@ -0,0 +1,87 @@
+/*
+ * taft: generate files with Handlebars
+ * Copyright (C) 2016 Neil Freeman
+
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+*/
+/* jshint esversion: 6, node: true */
+
+// Named blocks, for layouts with more than one place to put things.
+// A layout marks a block, with optional default content:
+//     {{#block "scripts"}}<script src="/site.js"></script>{{/block}}
+// and a page, or a layout between the page and that layout, fills it in:
+//     {{#content "scripts" mode="append"}}<script src="/map.js"></script>{{/content}}
+
+'use strict';
+
+const MODES = ['replace', 'append', 'prepend'];
+
+/**
+ * Without a name, {{block}} and {{content}} are the data of that name, e.g. a page's "content",
+ * as they would be without these helpers.
+ * @param {object} Handlebars environment
+ * @param {string} key
+ * @param {object} context
+ * @param {object} options
+ * @return the value, or a block rendered with it
+ */
+function lookup(Handlebars, key, context, options) {
+    const value = (context === null || context === undefined) ? undefined : context[key];
+    if (options.fn) return Handlebars.helpers.blockHelperMissing.call(context, value, options);
+    return value;
+}
+
+/**
+ * Register the block and content helpers. They keep blocks in a Map in the "blocks"
+ * data variable, which Taft starts for each page and passes on to its layouts.
+ * A helper that the environment already has, e.g. a shared one, is left alone.
+ * @param {object} Handlebars environment
+ */
+module.exports = function(Handlebars) {
+    const register = (name, fn) => {
+        if (!Handlebars.helpers[name]) Handlebars.registerHelper(name, fn);
+    };
+
+    register('block', function(name, options) {
+        if (typeof name !== 'string') return lookup(Handlebars, 'block', this, name);
+
+        const blocks = options.data && options.data.blocks,
+            actions = (blocks && blocks.get(name)) || [],
+            initial = options.fn ? options.fn(this) : '';
+
+        // the page's content is registered first, so it's applied last
+        const html = actions.reduceRight((html, action) => {
+            if (action.mode === 'append') return html + action.html;
+            if (action.mode === 'prepend') return action.html + html;
+            return action.html;
+        }, initial);
+
+        return new Handlebars.SafeString(html);
+    });
+
+    register('content', function(name, options) {
+        if (typeof name !== 'string') return lookup(Handlebars, 'content', this, name);
+
+        const blocks = options.data && options.data.blocks,
+            mode = options.hash.mode || 'replace';
+
+        if (MODES.indexOf(mode) === -1)
+            throw new Error('content mode should be one of: ' + MODES.join(', ') + ' (not ' + mode + ')');
+
+        if (blocks && options.fn)
+            blocks.set(name, (blocks.get(name) || []).concat({mode: mode, html: options.fn(this)}));
+
+        return '';
+    });
+};
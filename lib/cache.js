@@ -0,0 +1,143 @@
+/*
+ * taft: generate files with Handlebars
+ * Copyright (C) 2016 Neil Freeman
+
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+*/
+/* jshint esversion: 6, node: true */
+
+'use strict';
+
+const fs = require('fs'),
+    path = require('path'),
+    crypto = require('crypto'),
+    mkdirp = require('mkdirp');
+
+/**
+ * A TemplateCache compiles Handlebars templates once for each distinct source,
+ * optionally keeping precompiled specs on disk for the next build.
+ * @constructor
+ * @this {TemplateCache}
+ * @param {object} Handlebars environment to compile in
+ * @param {object} options
+ * @param {boolean} options.cache set to false to compile every time
+ * @param {string} options.dir directory for precompiled templates (optional)
+ * @param {function} options.warn called with a message when the directory can't be written to
+ */
+function TemplateCache(Handlebars, options) {
+    if (!(this instanceof TemplateCache)) return new TemplateCache(Handlebars, options);
+
+    options = options || {};
+
+    this.Handlebars = Handlebars;
+    this.enabled = options.cache !== false;
+    this.dir = this.enabled ? options.dir : undefined;
+    this.warn = options.warn || (() => {});
+
+    // set to false after the first failed write, so it isn't tried for every template
+    this.writable = true;
+
+    this._templates = new Map();
+
+    // count of each way a template was found, for the curious
+    this.stats = {memory: 0, disk: 0, compiled: 0};
+
+    return this;
+}
+
+/**
+ * @param {string} source
+ * @param {object} options Handlebars compile options
+ * @return {string} hash of the source, options and Handlebars version
+ */
+TemplateCache.prototype.key = function(source, options) {
+    return crypto.createHash('sha1')
+        .update(this.Handlebars.VERSION + '\0' + JSON.stringify(options || {}) + '\0' + source)
+        .digest('hex');
+};
+
+/**
+ * Get a compiled template. Parse errors are thrown now, rather than when the template is run.
+ * @param {string} source
+ * @param {object} options Handlebars compile options
+ * @return {function} template
+ */
+TemplateCache.prototype.compile = function(source, options) {
+    if (!this.enabled) return this.Handlebars.compile(source, options);
+
+    const key = this.key(source, options);
+
+    if (this._templates.has(key)) {
+        this.stats.memory++;
+        return this._templates.get(key);
+    }
+
+    const file = this.dir ? path.join(this.dir, key + '.js') : undefined;
+    var template;
+
+    if (file) {
+        try {
+            template = this._load(fs.readFileSync(file, 'utf8'));
+            this.stats.disk++;
+        } catch (e) {
+            // not there yet, or not a whole spec, so it's compiled again
+            template = undefined;
+        }
+    }
+
+    if (template === undefined) {
+        const spec = this.Handlebars.precompile(source, options);
+        this.stats.compiled++;
+
+        if (file && this.writable) {
+            // write then rename, so another build never reads half a file.
+            // Worker threads share a pid, so the name is random.
+            const tmp = file + '.' + crypto.randomBytes(8).toString('hex') + '.tmp';
+
+            try {
+                mkdirp.sync(this.dir);
+                fs.writeFileSync(tmp, spec, 'utf8');
+                fs.renameSync(tmp, file);
+            } catch (e) {
+                // without the disk cache, the build is only slower
+                this.writable = false;
+                this.warn("can't save precompiled templates in " + this.dir + ': ' + e.message);
+            }
+        }
+
+        template = this._load(spec);
+    }
+
+    this._templates.set(key, template);
+
+    return template;
+};
+
+/**
+ * @param {string} spec a precompiled template
+ * @return {function} template
+ */
+TemplateCache.prototype._load = function(spec) {
+    /* jshint evil: true */
+    return this.Handlebars.template(new Function('return ' + spec)());
+};
+
+/**
+ * Forget compiled templates. The disk cache is left alone.
+ */
+TemplateCache.prototype.clear = function() {
+    this._templates.clear();
+};
+
+module.exports = TemplateCache;
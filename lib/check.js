@@ -41,11 +41,45 @@ module.exports.args = function(program, callback) {
         program.destDir = undefined;
     }
 
-    if (files.length === 0)
+    if (files.length === 0 && !program.explain)
         err.push('error - please provide an input file');
 
-    // Lists of files SHOULD have a dest dir
-    if (files.length > 1 && !program.destDir)
+    if ((program.dryRun || program.explain) && (program.watch || program.serve))
+        err.push("error - --dry-run and --explain can't be used with --watch or --serve");
+
+    if (program.reporter && (program.dryRun || program.explain))
+        err.push("error - --reporter can't be used with --dry-run or --explain");
+
+    if (program.reporter === 'json' && (program.watch || program.serve))
+        err.push("error - --reporter json can't be used with --watch or --serve, use ndjson");
+
+    if (program.reporter && !program.destDir && !program.serve && program.output === '/dev/stdout')
+        err.push('error - --reporter needs --dest-dir or --output, since it writes to stdout');
+
+    if (program.assets && program.assets.length && !program.destDir && !program.serve)
+        err.push('error - --assets needs --dest-dir');
+
+    if (program.clean && !program.destDir)
+        err.push('error - --clean needs --dest-dir');
+
+    if ((program.sitemap || program.feed) && !(program.destDir && program.siteUrl))
+        err.push('error - --sitemap and --feed need --dest-dir and --site-url');
+
+    const choices = {
+        merge: ['replace', 'deep', 'concat'],
+        collisions: ['ignore', 'warn', 'error'],
+        namespace: ['basename', 'path'],
+        feedFormat: ['atom', 'rss'],
+        reporter: ['json', 'ndjson'],
+    };
+
+    Object.keys(choices).forEach(key => {
+        if (typeof program[key] !== 'undefined' && choices[key].indexOf(program[key]) === -1)
+            err.push('error - --' + key.replace(/[A-Z]/g, c => '-' + c.toLowerCase()) + ' should be one of: ' + choices[key].join(', '));
+    });
+
+    // Lists of files SHOULD have a dest dir, unless they're being served
+    if (files.length > 1 && !program.destDir && !program.serve)
         warn.push('warning - writing multiple files without --dest-dir');
 
     // If STDIN is given, it MUST NOT also be given in data
@@ -57,6 +91,9 @@ module.exports.args = function(program, callback) {
             err.push("error - can't read from STDIN twice");
         }
 
+        if (program.watch || program.serve)
+            err.push("error - can't watch or serve STDIN");
+
         files[files.indexOf('-')] = "/dev/stdin";
     }
 
@@ -0,0 +1,111 @@
+/*
+ * taft: generate files with Handlebars
+ * Copyright (C) 2016 Neil Freeman
+
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+*/
+/* jshint esversion: 6, node: true */
+
+'use strict';
+
+const fs = require('fs'),
+    path = require('path'),
+    yaml = require('js-yaml'),
+    Data = require('./data');
+
+// in order of preference
+const NAMES = ['taft.config.js', '.taftrc.yaml', '.taftrc.yml', '.taftrc.json'];
+
+// keys that hold paths, and are read relative to the config file
+const PATHS = ['layouts', 'partials', 'destDir', 'cwd', 'cacheDir', 'layoutDir', 'partialDir', 'assets', 'assetManifest'];
+
+/**
+ * Give a path relative to dir as a path relative to the current directory
+ * @param {string} dir
+ * @param {string} file
+ * @return {string}
+ */
+function relative(dir, file) {
+    return path.relative(process.cwd(), path.resolve(dir, file)) || '.';
+}
+
+/**
+ * Look for a config file in a directory and its parents
+ * @param {string} dir directory to start in
+ * @param {string} stop the last directory to look in (default: the root)
+ * @return {string} path to the config file, or undefined if there isn't one
+ */
+function find(dir, stop) {
+    dir = path.resolve(dir);
+    stop = stop && path.resolve(stop);
+
+    while (true) {
+        for (var i = 0; i < NAMES.length; i++)
+            if (fs.existsSync(path.join(dir, NAMES[i]))) return path.join(dir, NAMES[i]);
+
+        if (dir === stop || path.dirname(dir) === dir) return;
+        dir = path.dirname(dir);
+    }
+}
+
+/**
+ * Read a config file. Paths in the file are relative to the file's directory.
+ * @param {string} file a .js, .yaml or .json file
+ * @return {object} options for Taft and the command line tool
+ */
+function read(file) {
+    const ext = path.extname(file),
+        dir = path.dirname(path.resolve(file));
+    var config;
+
+    try {
+        if (ext === '.js')
+            config = require(path.resolve(file));
+
+        else if (ext === '.json')
+            config = JSON.parse(fs.readFileSync(file, 'utf8'));
+
+        else
+            config = yaml.safeLoad(fs.readFileSync(file, 'utf8'));
+
+    } catch (err) {
+        throw new Error('error reading config ' + file + ': ' + err.message);
+    }
+
+    config = Object.assign({}, config);
+
+    PATHS.forEach(key => {
+        if (typeof config[key] === 'string')
+            config[key] = relative(dir, config[key]);
+
+        else if (Array.isArray(config[key]))
+            config[key] = config[key].map(f => relative(dir, f));
+    });
+
+    // helpers may also be the names of installed modules, which are left alone
+    if (typeof config.helpers !== 'undefined')
+        config.helpers = [].concat(config.helpers).map(h =>
+            (typeof h === 'string' && (h[0] === '.' || path.extname(h) === '.js')) ? relative(dir, h) : h
+        );
+
+    ['data', 'dataDir'].forEach(key => {
+        if (typeof config[key] !== 'undefined')
+            config[key] = [].concat(config[key]).map(d => Data.resolve(d, dir));
+    });
+
+    return config;
+}
+
+module.exports.find = find;
+module.exports.read = read;
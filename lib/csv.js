@@ -0,0 +1,144 @@
+/*
+ * taft: generate files with Handlebars
+ * Copyright (C) 2016 Neil Freeman
+
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+*/
+/* jshint esversion: 6, node: true */
+
+'use strict';
+
+// numbers, but not ones with leading zeros, like zip codes
+const NUMBER_RE = /^-?(0|[1-9]\d*)(\.\d+)?([eE][+-]?\d+)?$/;
+
+/**
+ * Split delimited text into rows of fields. Fields may be quoted with ",
+ * and quotes inside quoted fields are doubled ("").
+ * @param {string} text
+ * @param {string} delimiter "," or "\t"
+ * @return {Array} list of rows, each a list of strings
+ */
+function rows(text, delimiter) {
+    const out = [];
+    var row = [],
+        field = '',
+        quoted = false,
+        i = 0;
+
+    text = String(text).replace(/^\uFEFF/, '');
+
+    while (i < text.length) {
+        const c = text[i];
+
+        if (quoted) {
+            if (c === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (c === '"') {
+                quoted = false;
+            } else {
+                field += c;
+            }
+
+        } else if (c === '"' && field === '') {
+            quoted = true;
+
+        } else if (c === delimiter) {
+            row.push(field);
+            field = '';
+
+        } else if (c === '\n' || c === '\r') {
+            if (c === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            out.push(row);
+            row = [];
+            field = '';
+
+        } else {
+            field += c;
+        }
+
+        i++;
+    }
+
+    if (field !== '' || row.length) {
+        row.push(field);
+        out.push(row);
+    }
+
+    // ignore blank lines
+    return out.filter(r => r.length > 1 || r[0] !== '');
+}
+
+/**
+ * Turn numbers and booleans in a field into numbers and booleans
+ * @param {string} value
+ * @return {string/number/boolean}
+ */
+function coerce(value) {
+    if (NUMBER_RE.test(value)) return Number(value);
+
+    const lower = value.toLowerCase();
+
+    if (lower === 'true') return true;
+    if (lower === 'false') return false;
+
+    return value;
+}
+
+/**
+ * Parse CSV or TSV into a list of objects, keyed by the first row
+ * @param {string} text
+ * @param {object} options
+ * @param {string} options.delimiter "," (default) or "\t"
+ * @param {boolean} options.types convert numbers and booleans (default: false)
+ * @return {Array}
+ */
+function parse(text, options) {
+    options = options || {};
+
+    const all = rows(text, options.delimiter || ','),
+        header = (all.shift() || []).map(h => h.trim());
+
+    return all.map(row => header.reduce((obj, key, i) => {
+        const value = (row[i] === undefined) ? '' : row[i];
+        obj[key] = options.types ? coerce(value) : value;
+        return obj;
+    }, {}));
+}
+
+/**
+ * Guess whether some text is CSV or TSV: a header and at least one row,
+ * with the same number of fields in each
+ * @param {string} text
+ * @return {string} the delimiter, or undefined if it doesn't look like either
+ */
+function sniff(text) {
+    const lines = String(text).trim().split(/\r?\n/, 2);
+
+    if (lines.length < 2) return;
+
+    const delimiter = (lines[0].indexOf('\t') > -1) ? '\t' : (lines[0].indexOf(',') > -1) ? ',' : undefined;
+
+    if (!delimiter) return;
+
+    const sample = rows(lines.join('\n'), delimiter);
+
+    if (sample.length === 2 && sample[0].length === sample[1].length) return delimiter;
+}
+
+module.exports = parse;
+module.exports.rows = rows;
+module.exports.coerce = coerce;
+module.exports.sniff = sniff;
@@ -19,19 +19,52 @@
 
 var
     fs = require('rw'),
+    statSync = require('fs').statSync,
     glob = require('glob'),
     path = require('path'),
+    url = require('url'),
     ini = require('ini'),
     yaml = require('js-yaml'),
-    gm = require('gray-matter');
+    matter = require('./matter'),
+    mergeData = require('./merge-data'),
+    csv = require('./csv');
 
 var STDIN_RE = /^(\w+:)?(\/dev\/stdin?|-)/;
 
+var SCRIPTS = ['.js', '.cjs', '.mjs'];
+
+// globs that only match scripts, like data/*.js or data/*.{js,mjs}
+var SCRIPT_GLOB_RE = /\.(?:c?js|mjs|\{(?:c?js|mjs)(?:,(?:c?js|mjs))*\})$/;
+
+// files read from data directories
+var DATA_EXTS = ['.yaml', '.yml', '.json', '.ini', '.csv', '.tsv', '.toml'].concat(SCRIPTS);
+
 function basename(filename) {
     var ext = path.extname(filename);
     return path.basename(filename, ext);
 }
 
+/**
+ * Check if a data source looks like a glob
+ * @param {string} source
+ * @return {boolean}
+ */
+function isGlob(source) {
+    return source.indexOf('*') > -1 || source.indexOf('{') > -1 || source.indexOf('[') > -1;
+}
+
+/**
+ * The part of a glob before any special characters, e.g. "data" for "data/{en,fr}/*.yaml"
+ * @param {string} pattern
+ * @return {string} directory
+ */
+function globBase(pattern) {
+    var parts = pattern.split('/'),
+        i = parts.findIndex(part => part !== '' && glob.hasMagic(part));
+
+    return parts.slice(0, i).join('/') || '.';
+}
+
 /**
     * Given a file name like "foo:bar.html", return "foo".
     * @param {string} filename
@@ -44,7 +77,7 @@ function getprefix(filename) {
 }
 
 /**
- * Parse an string as yaml, ini or JSON
+ * Parse an string as yaml, TOML, ini or JSON
  * @param {string} input
  * @return {object} parsed result
 */
@@ -54,7 +87,18 @@ function parseObj(input) {
     if (line === '---')
         return yaml.safeLoad(input);
 
-    else if (line.slice(0, 1) === ';' || line.match(/^[.+]$/) || line.match(/^\w+ ?=/))
+    else if (line === '+++')
+        return matter(input).data;
+
+    // "key = value" may be TOML or INI. Unquoted INI strings aren't valid TOML.
+    else if (line.match(/^\w+ ?=/))
+        try {
+            return matter.toml(input);
+        } catch (_) {
+            return ini.decode(input);
+        }
+
+    else if (line.slice(0, 1) === ';' || line.match(/^[.+]$/))
         return ini.decode(input);
 
     else if (line.indexOf('{') > -1 || line.indexOf('[') > -1)
@@ -67,12 +111,84 @@ function parseObj(input) {
     return;
 }
 
+/**
+ * Check if something is a Promise, or acts like one
+ * @param {mixed} value
+ * @return {boolean}
+ */
+function isThenable(value) {
+    return value !== null && (typeof value === 'object' || typeof value === 'function') && typeof value.then === 'function';
+}
+
+/**
+ * Load a JavaScript data file. It may export data, or a function that's called with
+ * options and returns data. Either may be a Promise.
+ * @param {string} filename a .js, .cjs or .mjs file
+ * @param {object} options passed to an exported function
+ * @return {object/Promise} data, or a Promise of data
+ */
+function readScript(filename, options) {
+    var file = path.resolve(filename),
+        exported;
+
+    var call = value => (typeof value === 'function') ? value(options || {}) : value;
+
+    if (path.extname(file) === '.mjs') {
+        // import() keeps modules for good, so ask for a new one when the file changes, for watching
+        exported = import(url.pathToFileURL(file).href + '?mtime=' + statSync(file).mtimeMs)
+            .then(mod => (mod.default !== undefined) ? mod.default : Object.assign({}, mod));
+
+    } else {
+        // always read the current version, for watching
+        delete require.cache[file];
+        exported = require(file);
+    }
+
+    var result = isThenable(exported) ? exported.then(call) : call(exported);
+
+    if (isThenable(result))
+        return Promise.resolve(result).catch(e => {
+            var err = new Error("error reading " + filename + ': ' + e.message);
+            err.file = filename;
+            throw err;
+        });
+
+    return result;
+}
+
+/**
+ * Wait for any Promises in the output of readFile, readGlob or readStdin
+ * @param {object} output
+ * @param {function} callback called with an error and the output, with its Promises replaced by their values.
+ *                            Called right away if there's nothing to wait for.
+ */
+function settle(output, callback) {
+    var waiting = [];
+
+    // Promises may be in a prefix's list, or anywhere in a namespace
+    var check = (obj, key) => {
+        if (isThenable(obj[key])) waiting.push(obj[key].then(value => { obj[key] = value; }));
+        else if (obj[key] && typeof obj[key] === 'object' && (Array.isArray(obj[key]) || Object.getPrototypeOf(obj[key]) === Object.prototype))
+            Object.keys(obj[key]).forEach(k => check(obj[key], k));
+    };
+
+    if (output && typeof output === 'object')
+        Object.keys(output).forEach(key => check(output, key));
+
+    if (waiting.length === 0) return callback(null, output);
+
+    Promise.all(waiting).then(() => callback(null, output), callback);
+}
+
 /**
  * Read a file, returning data parsed based on contents
  * @param {string} filename
- * @return {object} parsed data
+ * @param {object} options "csvTypes" converts numbers and booleans in CSV and TSV.
+ *                         Functions exported by JavaScript files are called with options.
+ * @param {boolean} scripts set to false to read JavaScript files for front matter, like other files, instead of running them
+ * @return {object} parsed data, or a Promise of it for some JavaScript files
  */
-function readFile(filename) {
+function readFile(filename, options, scripts) {
     var result = {},
         ext = path.extname(filename),
         base = path.basename(filename, ext);
@@ -89,55 +205,168 @@ function readFile(filename) {
         else if (ext === '.ini')
             result = ini.decode(source);
 
-        // A little duck-typing here: anything else gets fed to gray-matter.
+        else if (SCRIPTS.indexOf(ext) > -1 && scripts !== false)
+            result = readScript(filename, options);
+
+        else if (ext === '.csv' || ext === '.tsv')
+            result = csv(source, {delimiter: (ext === '.tsv') ? '\t' : ',', types: (options || {}).csvTypes});
+
+        else if (ext === '.toml')
+            result = matter.toml(source);
+
+        // A little duck-typing here: anything else is read for front matter.
         else
-            result = gm(source, {strict: true}).data;
+            result = matter(source).data;
 
     } catch (e) {
         if (e.code === 'ENOENT') throw e;
-        else throw new Error("error reading " + filename);
+
+        const err = new Error("error reading " + filename + ': ' + e.message);
+        err.file = filename;
+        throw err;
     }
     return result;
 }
 
 /**
- * Read a possibly-prefixed glob into an object
+ * Read a possibly-prefixed glob into an object. Without a prefix, each file's data is
+ * keyed by its base name, or with options.namespace "path", by its path relative to
+ * the start of the glob: data/en/menu.yaml in data/{en,fr}/*.yaml is en.menu.
+ * JavaScript files are only run when the glob is just for them, like data/*.js.
  * @param {string} pattern
+ * @param {object} options passed to readFile.
+ *                         "mergeStrategy" and "collision" are used when files have the same key, as for merge-data.
  * @return {object} 
  */
-function readGlob(pattern) {
+function readGlob(pattern, options) {
     var output = {},
         prefix = getprefix(pattern);
 
+    options = options || {};
+
     if (prefix) pattern = pattern.substr(prefix.length + 1);
 
-    const files = glob.sync(pattern, {nodir: true});
+    const files = glob.sync(pattern, {nodir: true}),
+        base = globBase(pattern),
+        scripts = SCRIPT_GLOB_RE.test(pattern);
 
     if (files.length === 0)
         throw new Error('Empty result from globbing ' + pattern);
 
     if (prefix)
-        output[prefix] = files.map(readFile);
+        output[prefix] = files.map(f => readFile(f, options, scripts));
 
     else
-        files.reduce((o, f) => {
-            o[basename(f)] = readFile(f);
-            return o;
-        }, output);
+        files.forEach(f => {
+            const names = (options.namespace === 'path') ?
+                    path.relative(base, f).slice(0, -path.extname(f).length || undefined).split(path.sep) :
+                    [basename(f)];
+
+            place(output, names, readFile(f, options, scripts), options, f);
+        });
 
     return output;
 }
 
+/**
+ * Put data into an object at a path of keys, making objects for each step on the way
+ * @param {object} output
+ * @param {Array} names keys leading to the data. If empty, the data is merged into output.
+ * @param {mixed} value data
+ * @param {object} options "mergeStrategy" and "collision", as for readGlob
+ * @param {string} file where the data came from, for collisions
+ */
+function place(output, names, value, options, file) {
+    var parent = output,
+        i = 0;
+
+    // directories become objects
+    for (; i < names.length - 1; i++) {
+        if (!parent[names[i]] || typeof parent[names[i]] !== 'object') parent[names[i]] = {};
+        parent = parent[names[i]];
+    }
+
+    if (names.length) value = {[names[i]]: value};
+
+    mergeData(parent, value, {
+        strategy: options.mergeStrategy,
+        collision: name => options.collision && options.collision(name, file),
+        path: names.slice(0, -1).join('.'),
+    });
+}
+
+/**
+ * Read every data file in a directory and its subdirectories into an object that
+ * mirrors the folders: data/team/alice.yaml is team.alice.
+ * @param {string} source a directory, possibly prefixed (people:data/team)
+ * @param {object} options passed to readFile. With "mergeIndex", the data in an index file
+ *                         (e.g. team/index.yaml) goes into its directory's object, rather than under "index".
+ * @return {object}
+ */
+function readDir(source, options) {
+    const output = {},
+        prefix = getprefix(source),
+        dir = prefix ? source.substr(prefix.length + 1) : source;
+
+    options = options || {};
+
+    const files = dataFiles(dir).map(f => ({file: f, names: f.slice(0, -path.extname(f).length).split('/')}));
+
+    // index files go first, so the files beside them can add to their data
+    const isIndex = f => options.mergeIndex && f.names[f.names.length - 1] === 'index';
+
+    files.filter(isIndex).concat(files.filter(f => !isIndex(f))).forEach(f => {
+        const data = readFile(path.join(dir, f.file), options);
+
+        // only objects can be merged into a directory
+        if (isIndex(f) && data && typeof data === 'object' && !Array.isArray(data) && !isThenable(data))
+            f.names.pop();
+
+        place(output, f.names, data, options, path.join(dir, f.file));
+    });
+
+    if (prefix) return {[prefix]: output};
+
+    return output;
+}
+
+/**
+ * @param {string} dir
+ * @return {Array} data files in dir and its subdirectories, relative to dir
+ */
+function dataFiles(dir) {
+    return glob.sync('**/*', {cwd: dir, nodir: true}).filter(f => DATA_EXTS.indexOf(path.extname(f)) > -1);
+}
+
+/**
+ * @param {string} source possibly prefixed
+ * @return {boolean} true if the source is a directory
+ */
+function isDirectory(source) {
+    var prefix = getprefix(source);
+
+    try {
+        return statSync(prefix ? source.substr(prefix.length + 1) : source).isDirectory();
+    } catch (_) {
+        return false;
+    }
+}
+
 /*
- * Read content from stdin.
+ * Read content from stdin. Prefixed stdin may also be CSV or TSV, which becomes a list under the prefix.
  * @param {string} source the possibly-prefixed stdin, e.g. witches:/dev/stdin
+ * @param {object} options "csvTypes" converts numbers and booleans in CSV and TSV
  * @return {object}
  */
-function readStdin(source) {
+function readStdin(source, options) {
     var output = {},
         prefix = getprefix(source),
         stdin = fs.readFileSync('/dev/stdin', {encoding: 'utf8'}),
-        result = parseObj(stdin);
+        result = parseObj(stdin),
+        delimiter = (result === undefined && prefix) ? csv.sniff(stdin) : undefined;
+
+    if (delimiter)
+        result = csv(stdin, {delimiter: delimiter, types: (options || {}).csvTypes});
 
     if (prefix)
         output[prefix] = result;
@@ -150,36 +379,94 @@ function readStdin(source) {
 /*
  * Parses string, file, or file glob
  * @param {string/Array/object} source the input string, file or glob.
- * @return {object} data
+ * @param {object} options (optional) "csvTypes" converts numbers and booleans in CSV and TSV.
+ *                         Functions exported by JavaScript files are called with options.
+ * @param {function} callback called with an error and the data. This happens right away,
+ *                            unless a JavaScript file gives a Promise.
  */
-module.exports.parse = function(source, callback) {
+module.exports.parse = function(source, options, callback) {
     var output;
 
+    if (typeof options === 'function') {
+        callback = options;
+        options = {};
+    }
+
     // Accept objects
     if (typeof source === 'object') output = source;
 
-    // Maybe it's a YAML/JSON/INI string
-    else output = parseObj(source);
+    // Maybe it's a YAML/JSON/TOML/INI string. "." looks like INI, but it's a directory.
+    else if (!isDirectory(source)) output = parseObj(source);
 
     if (typeof output === 'undefined')
         try {
             // Read from stdin
             if (source.match(STDIN_RE))
-                output = readStdin(source);
+                output = readStdin(source, options);
 
             // Read from glob
-            else if (source.indexOf('*') > -1 || source.indexOf('{') > -1 || source.indexOf('[') > -1)
-                output = readGlob(source);
+            else if (isGlob(source))
+                output = readGlob(source, options);
+
+            // Read a directory tree
+            else if (isDirectory(source))
+                output = readDir(source, options);
 
             // Read a file
             else {
                 output = {};
-                output[basename(source)] = readFile(source);
+                output[basename(source)] = readFile(source, options);
             }
 
         } catch (err) {
-            callback(err);
+            return callback(err);
         }
 
-    callback(null, output);
+    else if (typeof source === 'object')
+        return callback(null, output);
+
+    settle(output, callback);
+};
+
+/*
+ * List the files that a data source reads from.
+ * @param {string/object} source the input string, file or glob.
+ * @return {Array} file names. Empty for objects, data strings and stdin.
+ */
+module.exports.files = function(source) {
+    if (typeof source !== 'string' || source.match(STDIN_RE) || (typeof parseObj(source) !== 'undefined' && !isDirectory(source)))
+        return [];
+
+    var prefix = getprefix(source),
+        pattern = prefix ? source.substr(prefix.length + 1) : source;
+
+    if (isGlob(source))
+        return glob.sync(pattern, {nodir: true});
+
+    if (isDirectory(source))
+        return dataFiles(pattern).map(f => path.join(pattern, f));
+
+    return [source];
+};
+
+/*
+ * Resolve the file or glob in a data source relative to a directory.
+ * Objects, data strings and stdin are returned unchanged.
+ * @param {string/object} source
+ * @param {string} dir
+ * @return {string/object} source, with its path relative to the current directory
+ */
+module.exports.resolve = function(source, dir) {
+    if (typeof source !== 'string' || source.match(STDIN_RE))
+        return source;
+
+    var prefix = getprefix(source),
+        pattern = prefix ? source.substr(prefix.length + 1) : source;
+
+    if (typeof parseObj(source) !== 'undefined' && !isDirectory(path.resolve(dir, pattern)))
+        return source;
+
+    var resolved = path.relative(process.cwd(), path.resolve(dir, pattern));
+
+    return prefix ? prefix + ':' + resolved : resolved;
 };
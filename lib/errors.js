@@ -0,0 +1,234 @@
+/*
+ * taft: generate files with Handlebars
+ * Copyright (C) 2016 Neil Freeman
+
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+*/
+/* jshint esversion: 6, node: true */
+
+'use strict';
+
+const fs = require('fs'),
+    path = require('path');
+
+const PARSE_RE = /^Parse error on line (\d+):/,
+    // js-yaml says "at line 2, column 1", TOML says "at row 2, col 1"
+    POSITION_RE = /at (?:line|row) (\d+), col(?:umn)? (\d+)/,
+    // lines of context around the error in a code frame
+    CONTEXT = 2;
+
+/**
+ * An error in a page, layout, partial or data file
+ * @constructor
+ * @this {TemplateError}
+ * @param {string} message
+ * @param {object} props
+ * @param {string} props.file the file that failed
+ * @param {string} props.kind "page", "layout", "partial", "data", "asset" or "write"
+ * @param {string} props.source the page being built when the error happened
+ * @param {number} props.line counting from 1
+ * @param {number} props.column counting from 1
+ * @param {string} props.frame an excerpt of the file, pointing at the error
+ */
+function TemplateError(message, props) {
+    Error.call(this);
+    Error.captureStackTrace(this, TemplateError);
+
+    this.name = 'TemplateError';
+    this.message = message;
+
+    Object.assign(this, props);
+}
+
+TemplateError.prototype = Object.create(Error.prototype);
+TemplateError.prototype.constructor = TemplateError;
+
+/**
+ * Ask the Handlebars parser where a parse error happened. The thrown Error doesn't say.
+ * @param {object} Handlebars
+ * @param {string} text template source
+ * @return {object} {line, column}, or undefined
+ */
+function parsePosition(Handlebars, text) {
+    const parser = Handlebars.Parser,
+        parseError = parser.parseError;
+    var position;
+
+    parser.parseError = function(str, hash) {
+        if (hash && hash.loc) position = {line: hash.loc.last_line, column: hash.loc.last_column + 1};
+        return parseError.apply(this, arguments);
+    };
+
+    try {
+        Handlebars.parse(text);
+    } catch (e) {
+        // expected
+    } finally {
+        parser.parseError = parseError;
+    }
+
+    return position;
+}
+
+/**
+ * Find the line and column of an error
+ * @param {Error} err
+ * @param {object} options
+ * @param {string} options.text template source
+ * @param {object} options.Handlebars
+ * @return {object} {line, column, message}. line and column are undefined when unknown.
+ */
+function locate(err, options) {
+    const message = String(err.message || err),
+        parse = message.match(PARSE_RE),
+        located = message.match(POSITION_RE);
+
+    // Handlebars parse errors
+    if (parse) {
+        const position = (options.Handlebars && options.text !== undefined) ? parsePosition(options.Handlebars, options.text) : undefined;
+
+        return {
+            line: position ? position.line : Number(parse[1]),
+            column: position ? position.column : undefined,
+            message: 'Parse error: ' + message.split('\n').slice(-1)[0],
+        };
+    }
+
+    // errors from js-yaml or TOML, possibly in front matter
+    if (located)
+        return {
+            line: Number(located[1]),
+            column: Number(located[2]),
+            message: message.split('\n')[0].replace(/^.*YAMLException: /, '').replace(/ at (line|row) \d+, col.*$/, ''),
+        };
+
+    // Handlebars runtime errors, e.g. in strict mode
+    if (typeof err.lineNumber === 'number')
+        return {line: err.lineNumber, column: (err.column || 0) + 1, message: message};
+
+    return {message: message};
+}
+
+/**
+ * An excerpt of some text, with a marker at line and column
+ * @param {string} text
+ * @param {number} line counting from 1
+ * @param {number} column counting from 1 (optional)
+ * @return {string}
+ */
+function frame(text, line, column) {
+    const lines = String(text).split(/\r?\n/),
+        start = Math.max(1, line - CONTEXT),
+        end = Math.min(lines.length, line + CONTEXT),
+        width = String(end).length,
+        out = [];
+
+    if (line < 1 || line > lines.length) return '';
+
+    for (var i = start; i <= end; i++) {
+        const gutter = ' ' + ('' + i).padStart(width) + ' |';
+
+        out.push((i === line ? '>' : ' ') + gutter + (lines[i - 1] ? ' ' + lines[i - 1] : ''));
+
+        if (i === line && column)
+            out.push(' ' + ' '.repeat(width + 1) + ' | ' + lines[i - 1].slice(0, column - 1).replace(/[^\t]/g, ' ') + '^');
+    }
+
+    return out.join('\n');
+}
+
+/**
+ * Turn any error into a TemplateError. TemplateErrors are returned as they are,
+ * so that an error keeps pointing at the innermost template it came from.
+ * @param {Error} err
+ * @param {object} options
+ * @param {string} options.file the file that failed
+ * @param {string} options.kind "page", "layout", "partial", "data", "asset" or "write"
+ * @param {string} options.text the file's contents, read from file if missing
+ * @param {string} options.template the part of text that Handlebars compiled, if it isn't all of text
+ * @param {object} options.Handlebars to locate parse errors
+ * @return {TemplateError}
+ */
+function wrap(err, options) {
+    if (err instanceof TemplateError) return err;
+
+    var text = options.text;
+
+    if (text === undefined) {
+        try {
+            text = fs.readFileSync(options.file, 'utf8');
+        } catch (e) {
+            text = undefined;
+        }
+    }
+
+    const template = (options.template === undefined) ? text : options.template,
+        where = locate(err, {text: template, Handlebars: options.Handlebars});
+
+    var line = where.line,
+        column = where.column;
+
+    // front matter starts after the opening --- or +++
+    if (line && /gray-matter|front matter/.test(err.message))
+        line += 1;
+
+    // the template is the end of the file, after the front matter
+    else if (line && text !== undefined && template !== text) {
+        const before = (text.slice(-template.length) === template) ? text.slice(0, text.length - template.length) : '',
+            skipped = before.split('\n');
+
+        if (line === 1 && column) column += skipped[skipped.length - 1].length;
+        line += skipped.length - 1;
+    }
+
+    const error = new TemplateError(where.message, {
+        file: options.file,
+        kind: options.kind,
+        line: line,
+        column: column,
+        frame: (line && text !== undefined) ? frame(text, line, column) : '',
+    });
+
+    if (err.code) error.code = err.code;
+    if (err.stack) error.stack = error.name + ': ' + error.message + '\n' + err.stack.split('\n').slice(1).join('\n');
+
+    return error;
+}
+
+/**
+ * Describe an error for people
+ * @param {TemplateError} err
+ * @return {string} e.g. "error building page.hbs\nlayout layouts/default.hbs:3:5: Parse error ..." and a code frame
+ */
+function format(err) {
+    if (!(err instanceof TemplateError)) return String(err.message || err);
+
+    const rel = file => path.relative(process.cwd(), path.resolve(file)) || file,
+        position = [err.line, err.column].filter(Boolean).join(':'),
+        lines = [];
+
+    if (err.source) lines.push('error building ' + rel(err.source));
+
+    lines.push((err.kind ? err.kind + ' ' : '') + rel(err.file) + (position ? ':' + position : '') + ': ' + err.message);
+
+    if (err.frame) lines.push(err.frame);
+
+    return lines.join('\n');
+}
+
+module.exports.TemplateError = TemplateError;
+module.exports.locate = locate;
+module.exports.frame = frame;
+module.exports.wrap = wrap;
+module.exports.format = format;
@@ -0,0 +1,179 @@
+/*
+ * taft: generate files with Handlebars
+ * Copyright (C) 2016 Neil Freeman
+
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+*/
+/* jshint esversion: 6, node: true */
+
+// A sitemap, and an Atom or RSS feed, of the pages in a build
+
+'use strict';
+
+// the most recent pages in a feed
+const FEED_SIZE = 20;
+
+const ESCAPES = {'&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&apos;'};
+
+function escape(str) {
+    return String(str).replace(/[&<>"']/g, c => ESCAPES[c]);
+}
+
+/**
+ * @param {mixed} value a Date, or a string or number that makes one
+ * @return {Date} or undefined if value isn't a date
+ */
+function toDate(value) {
+    if (value === undefined || value === null || value === '') return;
+
+    const date = (value instanceof Date) ? value : new Date(value);
+
+    if (!isNaN(date)) return date;
+}
+
+/**
+ * Join a site's base URL and a page's URL
+ * @param {string} base e.g. "https://example.com/blog"
+ * @param {string} url e.g. "/posts/"
+ * @return {string} "https://example.com/blog/posts/"
+ */
+function absolute(base, url) {
+    return String(base).replace(/\/+$/, '') + '/' + String(url).replace(/^\/+/, '');
+}
+
+/**
+ * The parts of a built page that sitemaps and feeds need
+ * @param {Content} content a page from Taft#build
+ * @return {object} url, title, summary, author, date, updated, sitemap and feed.
+ *                  A page can leave itself out with "sitemap: false" or "feed: false" in its front matter.
+ */
+function entry(content) {
+    const page = content.data ? (content.data.page || content.data) : {};
+
+    return {
+        url: content.url,
+        title: page.title,
+        summary: page.summary,
+        author: page.author,
+        date: toDate(page.date),
+        updated: toDate(page.updated) || toDate(page.date),
+        sitemap: page.sitemap !== false,
+        feed: page.feed !== false,
+    };
+}
+
+/**
+ * @param {Array} entries from entry()
+ * @param {object} options
+ * @param {string} options.url base URL of the site
+ * @return {string} sitemap.xml, listing HTML pages
+ */
+function sitemap(entries, options) {
+    const urls = entries
+        .filter(e => e.sitemap && e.url && /(\/|\.html?)$/.test(e.url))
+        .map(e => '  <url>\n    <loc>' + escape(absolute(options.url, e.url)) + '</loc>\n' +
+            (e.updated ? '    <lastmod>' + e.updated.toISOString().slice(0, 10) + '</lastmod>\n' : '') +
+            '  </url>\n');
+
+    return '<?xml version="1.0" encoding="UTF-8"?>\n' +
+        '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">\n' + urls.join('') + '</urlset>\n';
+}
+
+/**
+ * The pages in a feed: those with dates, newest first
+ * @param {Array} entries
+ * @return {Array}
+ */
+function posts(entries) {
+    return entries
+        .filter(e => e.feed && e.date && e.url)
+        .map((e, i) => ({e: e, i: i}))
+        .sort((a, b) => (b.e.date - a.e.date) || (a.i - b.i))
+        .map(x => x.e)
+        .slice(0, FEED_SIZE);
+}
+
+/**
+ * @param {Array} entries from entry()
+ * @param {object} options
+ * @param {string} options.url base URL of the site
+ * @param {string} options.title title of the feed (default: the base URL)
+ * @param {string} options.author author of the feed (default: the title). Pages may have their own.
+ * @param {string} options.path where the feed is saved, relative to the site
+ * @return {string} an Atom feed of the newest pages with dates
+ */
+function atom(entries, options) {
+    const list = posts(entries),
+        updated = list.reduce((latest, e) => (e.updated > latest) ? e.updated : latest, new Date(0));
+
+    const items = list.map(e => {
+        const link = escape(absolute(options.url, e.url));
+
+        return '  <entry>\n' +
+            '    <title>' + escape(e.title || e.url) + '</title>\n' +
+            '    <link href="' + link + '"/>\n' +
+            '    <id>' + link + '</id>\n' +
+            '    <updated>' + e.updated.toISOString() + '</updated>\n' +
+            (e.author ? '    <author><name>' + escape(e.author) + '</name></author>\n' : '') +
+            (e.summary ? '    <summary>' + escape(e.summary) + '</summary>\n' : '') +
+            '  </entry>\n';
+    });
+
+    return '<?xml version="1.0" encoding="UTF-8"?>\n' +
+        '<feed xmlns="http://www.w3.org/2005/Atom">\n' +
+        '  <title>' + escape(options.title || options.url) + '</title>\n' +
+        '  <link href="' + escape(absolute(options.url, '/')) + '"/>\n' +
+        (options.path ? '  <link rel="self" href="' + escape(absolute(options.url, options.path)) + '"/>\n' : '') +
+        '  <id>' + escape(absolute(options.url, '/')) + '</id>\n' +
+        '  <updated>' + updated.toISOString() + '</updated>\n' +
+        // Atom needs an author
+        '  <author><name>' + escape(options.author || options.title || options.url) + '</name></author>\n' +
+        items.join('') +
+        '</feed>\n';
+}
+
+/**
+ * @param {Array} entries from entry()
+ * @param {object} options as for atom()
+ * @return {string} an RSS 2.0 feed of the newest pages with dates
+ */
+function rss(entries, options) {
+    const items = posts(entries).map(e => {
+        const link = escape(absolute(options.url, e.url));
+
+        return '    <item>\n' +
+            '      <title>' + escape(e.title || e.url) + '</title>\n' +
+            '      <link>' + link + '</link>\n' +
+            '      <guid>' + link + '</guid>\n' +
+            '      <pubDate>' + e.date.toUTCString() + '</pubDate>\n' +
+            (e.summary ? '      <description>' + escape(e.summary) + '</description>\n' : '') +
+            '    </item>\n';
+    });
+
+    return '<?xml version="1.0" encoding="UTF-8"?>\n' +
+        '<rss version="2.0">\n' +
+        '  <channel>\n' +
+        '    <title>' + escape(options.title || options.url) + '</title>\n' +
+        '    <link>' + escape(absolute(options.url, '/')) + '</link>\n' +
+        '    <description>' + escape(options.title || options.url) + '</description>\n' +
+        items.join('') +
+        '  </channel>\n' +
+        '</rss>\n';
+}
+
+module.exports.entry = entry;
+module.exports.sitemap = sitemap;
+module.exports.atom = atom;
+module.exports.rss = rss;
+module.exports.absolute = absolute;
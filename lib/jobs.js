@@ -0,0 +1,233 @@
+/*
+ * taft: generate files with Handlebars
+ * Copyright (C) 2016 Neil Freeman
+
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+*/
+/* jshint esversion: 6, node: true */
+
+'use strict';
+
+const path = require('path'),
+    errors = require('./errors'),
+    feeds = require('./feeds');
+
+function stripExt(file) {
+    return file.slice(0, file.length - path.extname(file).length);
+}
+
+function replaceExt(file, ext) {
+    return file.slice(0, -path.extname(file).length) + '.' + ext;
+}
+
+/**
+ * Build a page the way the command line tool does, and work out where each result is saved
+ * @param {Taft} taft
+ * @param {string} file
+ * @param {object} settings cwd, destDir, ext, output and version, as for Taft#taftGlobal
+ * @return {Array} list of {output, path, content, error, entry}. Paginated pages give more than one.
+ *                 path is where the page is saved, relative to the output directory.
+ *                 entry describes the page for sitemaps and feeds.
+ */
+function pages(taft, file, settings) {
+    return [].concat(taft.build(file, {TAFT: taft.taftGlobal(file, settings)}) || []).map(build => ({
+        output: outputFile(taft, build, settings),
+        path: build.path || taft._outputPath(build.source, build.data.page || build.data),
+        content: build.toString(),
+        error: build.error,
+        entry: feeds.entry(build),
+    }));
+}
+
+/**
+ * Work out what pages() would do with a file, without building it
+ * @param {Taft} taft
+ * @param {string} file
+ * @param {object} settings as for pages()
+ * @return {object} {source, published, layouts, missing, outputs}, where layouts is the page's chain of layouts,
+ *                  and missing the ones in it that aren't registered
+ */
+function plan(taft, file, settings) {
+    const result = taft.plan(file, {TAFT: taft.taftGlobal(file, settings)});
+
+    return {
+        source: file,
+        published: result.published,
+        layouts: result.layouts,
+        missing: result.missing,
+        outputs: result.pages.map(page => outputFile(taft, page, settings)),
+    };
+}
+
+/**
+ * @param {Taft} taft
+ * @param {Content} build a page from Taft#build, or one from Taft#plan
+ * @param {object} settings as for pages()
+ * @return {string} where the page is saved
+ */
+function outputFile(taft, build, settings) {
+    if (settings.destDir)
+        return taft.outputFile(build, settings.destDir);
+
+    if (settings.output === '/dev/stdout')
+        return settings.output;
+
+    if (build.path) {
+        // a page's usual place is --output, and the pages numbered after it go beside that
+        const usual = stripExt(taft.outputFile({source: build.source, data: build.data})),
+            output = path.normalize(build.path);
+
+        if (output === usual + path.extname(output))
+            return settings.output;
+
+        if (output.indexOf(usual + path.sep) === 0)
+            return stripExt(settings.output) + output.slice(usual.length);
+
+        return path.join(path.dirname(settings.output), build.path);
+    }
+
+    return replaceExt(settings.output, (build.data.page || build.data).ext || settings.ext);
+}
+
+/**
+ * Workers each have their own Taft, so they can't tell when pages on different workers
+ * would be saved in the same place. This claims a result's outputs on the main thread's Taft.
+ * @param {Taft} taft the Taft that was passed to build()
+ * @param {object} result {file, pages}, as passed to build()'s each
+ * @return {TemplateError} if another page is already saved at one of the outputs.
+ *                         The result's pages get the error, too.
+ */
+function claim(taft, result) {
+    try {
+        taft._claim(result.file, result.pages.filter(page => !page.error).map(page => page.path));
+    } catch (err) {
+        const error = errors.wrap(err, {file: result.file, kind: 'page'});
+        error.source = result.file;
+        result.pages.forEach(page => page.error = page.error || error);
+        return error;
+    }
+}
+
+/**
+ * Turn a TemplateError into something that can be posted between threads
+ * @param {TemplateError} error
+ * @return {object}
+ */
+function serialize(error) {
+    return error && Object.assign({}, error, {message: error.message});
+}
+
+/**
+ * @param {object} error from serialize()
+ * @return {TemplateError}
+ */
+function deserialize(error) {
+    if (!error) return;
+
+    const props = Object.assign({}, error);
+    delete props.message;
+
+    return new errors.TemplateError(error.message, props);
+}
+
+/**
+ * Build files on several worker threads. Each worker loads the same layouts, partials
+ * and helpers as taft, and gets a copy of its data. Results are handed back in the
+ * order of files, whichever worker finishes first.
+ * @param {Taft} taft already set up, and collected
+ * @param {Array} files pages to build
+ * @param {object} settings as for pages()
+ * @param {object} options
+ * @param {number} options.jobs number of workers
+ * @param {object} options.taft the options taft was created with
+ * @param {function} each called with each file's {file, log, pages}, in order.
+ *                        log is a list of [method, ...arguments] for each message the worker's Taft
+ *                        would have printed, and each event it would have reported
+ * @return {Promise} resolves when every file is built, or rejects if workers can't be started
+ */
+function build(taft, files, settings, options, each) {
+    // worker threads need Node 11.7 or later
+    var Worker;
+
+    try {
+        Worker = require('worker_threads').Worker;
+    } catch (e) {
+        return Promise.reject(new Error('worker threads are not available'));
+    }
+
+    const count = Math.max(1, Math.min(options.jobs, files.length)),
+        results = new Map(),
+        workers = [];
+
+    // workers don't read data again, which matters for stdin, and their events are passed on by the main thread
+    const workerData = {
+        options: Object.assign({}, options.taft, {data: [taft.data()], dataDir: undefined, report: undefined, silent: false, verbose: true}),
+        settings: settings,
+        collect: Array.from(taft._collected.values()),
+    };
+
+    var sent = 0,
+        done = 0;
+
+    return new Promise((resolve, reject) => {
+        function finish(err) {
+            workers.forEach(worker => worker.terminate());
+            return err ? reject(err) : resolve();
+        }
+
+        function next(worker) {
+            if (sent < files.length) worker.postMessage({index: sent, file: files[sent++]});
+        }
+
+        function receive(worker, result) {
+            results.set(result.index, result);
+            next(worker);
+
+            // hand back results in order
+            while (results.has(done)) {
+                const current = results.get(done);
+                results.delete(done++);
+
+                current.file = files[current.index];
+                current.pages.forEach(page => page.error = deserialize(page.error));
+                each(current);
+            }
+
+            if (done === files.length) finish();
+        }
+
+        if (files.length === 0) return resolve();
+
+        try {
+            for (var i = 0; i < count; i++) {
+                const worker = new Worker(path.join(__dirname, 'worker.js'), {workerData: workerData});
+
+                worker.on('message', result => receive(worker, result));
+                worker.on('error', finish);
+                workers.push(worker);
+
+                next(worker);
+            }
+        } catch (err) {
+            // e.g. options with functions in them, which can't be copied to a worker
+            finish(err);
+        }
+    });
+}
+
+module.exports.pages = pages;
+module.exports.plan = plan;
+module.exports.build = build;
+module.exports.claim = claim;
+module.exports.serialize = serialize;
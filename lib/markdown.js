@@ -0,0 +1,89 @@
+/*
+ * taft: generate files with Handlebars
+ * Copyright (C) 2016 Neil Freeman
+
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+*/
+/* jshint esversion: 6, node: true */
+
+'use strict';
+
+const path = require('path'),
+    MarkdownIt = require('markdown-it'),
+    slugify = require('./permalink').slugify;
+
+const EXTENSIONS = ['.md', '.markdown'];
+
+/**
+ * Give each heading an id made from its text, adding numbers to repeats: "intro", "intro-1"
+ * @param {MarkdownIt} md
+ */
+function headingIds(md) {
+    md.core.ruler.push('heading_ids', function(state) {
+        const seen = {};
+
+        state.tokens.forEach((token, i) => {
+            if (token.type !== 'heading_open' || token.attrGet('id')) return;
+
+            const text = state.tokens[i + 1].children
+                .filter(t => t.type === 'text' || t.type === 'code_inline')
+                .map(t => t.content)
+                .join('');
+
+            var id = slugify(text) || 'section';
+
+            if (seen.hasOwnProperty(id)) id += '-' + (++seen[id]);
+            else seen[id] = 0;
+
+            token.attrSet('id', id);
+        });
+    });
+}
+
+/**
+ * Check if a page should be rendered as Markdown
+ * @param {string} file
+ * @param {object} context the page's front matter
+ * @return {boolean}
+ */
+function isMarkdown(file, context) {
+    if (context.format) return String(context.format).toLowerCase() === 'markdown';
+    return EXTENSIONS.indexOf(path.extname(file).toLowerCase()) > -1;
+}
+
+/**
+ * Create a Markdown renderer
+ * @param {object} options
+ * @param {boolean} options.headingIds add ids to headings (default: true)
+ * @param {boolean} options.typographer use smart quotes and dashes (default: true)
+ * @param {string} options.langPrefix class prefix for the language of fenced code (default: "language-")
+ * @param {boolean} options.html allow HTML in the source (default: true)
+ * @return {function} takes Markdown, returns HTML
+ */
+function create(options) {
+    options = options || {};
+
+    const md = new MarkdownIt({
+        html: options.html !== false,
+        typographer: options.typographer !== false,
+        langPrefix: options.langPrefix || 'language-',
+    });
+
+    if (options.headingIds !== false) md.use(headingIds);
+
+    return source => md.render(source);
+}
+
+module.exports = create;
+module.exports.isMarkdown = isMarkdown;
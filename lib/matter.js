@@ -0,0 +1,76 @@
+/*
+ * taft: generate files with Handlebars
+ * Copyright (C) 2016 Neil Freeman
+
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+*/
+/* jshint esversion: 6, node: true */
+
+'use strict';
+
+const fs = require('rw'),
+    gm = require('gray-matter'),
+    toml = require('@iarna/toml');
+
+const TOML_RE = /^\uFEFF?\+\+\+[ \t]*\r?\n/;
+
+/**
+ * Parse TOML, giving errors a message that says where they are
+ * @param {string} str
+ * @return {object}
+ */
+function parseToml(str) {
+    try {
+        return toml.parse(str);
+    } catch (e) {
+        throw new SyntaxError('TOML: ' + e.message.split('\n')[0].replace(/:$/, ''));
+    }
+}
+
+/**
+ * Parse TOML front matter. Errors say so, since their lines count from after the opening +++.
+ * @param {string} str
+ * @return {object}
+ */
+function frontMatterToml(str) {
+    try {
+        return parseToml(str);
+    } catch (e) {
+        throw new SyntaxError('front matter ' + e.message);
+    }
+}
+
+/**
+ * Read front matter: YAML between --- lines, or TOML between +++ lines
+ * @param {string} text
+ * @return {object} {data, content, orig}, like gray-matter
+ */
+function matter(text) {
+    if (TOML_RE.test(text))
+        return gm(text, {strict: true, delims: '+++', parser: frontMatterToml});
+
+    return gm(text, {strict: true});
+}
+
+/**
+ * @param {string} file
+ * @return {object} {data, content, orig}, like gray-matter
+ */
+function read(file) {
+    return matter(fs.readFileSync(file, 'utf8'));
+}
+
+module.exports = matter;
+module.exports.read = read;
+module.exports.toml = parseToml;
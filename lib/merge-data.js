@@ -0,0 +1,81 @@
+/*
+ * taft: generate files with Handlebars
+ * Copyright (C) 2016 Neil Freeman
+
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+*/
+/* jshint esversion: 6, node: true */
+
+'use strict';
+
+const merge = require('merge');
+
+const STRATEGIES = ['replace', 'deep', 'concat'];
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype;
+}
+
+/**
+ * Merge data into an object, in place.
+ *   replace: keys in source replace the same keys in target (the default)
+ *   deep: objects are merged key by key, all the way down
+ *   concat: like deep, but arrays are joined together
+ * @param {object} target
+ * @param {object} source
+ * @param {object} options
+ * @param {string} options.strategy "replace", "deep" or "concat"
+ * @param {function} options.collision called with the dotted name of each key whose value is overwritten
+ * @param {string} options.path dotted name of target, for collisions
+ * @return {object} target
+ */
+function mergeData(target, source, options) {
+    options = options || {};
+
+    const strategy = options.strategy || 'replace',
+        collision = options.collision || function() {};
+
+    if (STRATEGIES.indexOf(strategy) === -1)
+        throw new Error('unknown merge strategy: ' + strategy);
+
+    if (!source || typeof source !== 'object') return target;
+
+    Object.keys(source).forEach(key => {
+        const name = options.path ? options.path + '.' + key : key,
+            before = target[key],
+            after = source[key];
+
+        if (before === undefined || strategy === 'replace') {
+            if (before !== undefined) collision(name);
+            // a copy, so merging more data later doesn't change the source
+            target[key] = (strategy === 'replace') ? after : merge.clone(after);
+        }
+
+        else if (strategy === 'concat' && Array.isArray(before) && Array.isArray(after))
+            target[key] = before.concat(merge.clone(after));
+
+        else if (isPlainObject(before) && isPlainObject(after))
+            mergeData(before, after, {strategy: strategy, collision: collision, path: name});
+
+        else {
+            collision(name);
+            target[key] = merge.clone(after);
+        }
+    });
+
+    return target;
+}
+
+module.exports = mergeData;
+module.exports.STRATEGIES = STRATEGIES;
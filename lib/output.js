@@ -0,0 +1,177 @@
+/*
+ * taft: generate files with Handlebars
+ * Copyright (C) 2016 Neil Freeman
+
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+*/
+/* jshint esversion: 6, node: true */
+
+'use strict';
+
+const fs = require('fs'),
+    path = require('path'),
+    mkdirp = require('mkdirp');
+
+// the list of files written, kept in the destination
+const MANIFEST = '.taft-manifest.json';
+
+/**
+ * An Output writes files into a destination directory, leaving files whose contents
+ * haven't changed alone. It remembers what it wrote in a manifest, so files from
+ * earlier builds that aren't built any more can be found and cleaned up.
+ * @constructor
+ * @this {Output}
+ * @param {string} destDir
+ */
+function Output(destDir) {
+    if (!(this instanceof Output)) return new Output(destDir);
+
+    this.destDir = destDir;
+    this.manifest = path.join(destDir, MANIFEST);
+
+    // files from the last build, relative to destDir
+    this.previous = [];
+
+    try {
+        this.previous = JSON.parse(fs.readFileSync(this.manifest, 'utf8')).files || [];
+    } catch (e) {
+        this.previous = [];
+    }
+
+    this._current = new Set();
+
+    return this;
+}
+
+/**
+ * @param {string} file
+ * @return {string} file relative to destDir, or undefined if it's outside destDir
+ */
+Output.prototype.name = function(file) {
+    const relative = path.relative(this.destDir, file);
+
+    if (relative === '' || relative.split(path.sep)[0] === '..' || path.isAbsolute(relative)) return;
+
+    return relative.split(path.sep).join('/');
+};
+
+/**
+ * @param {string} file
+ * @return {boolean} true if file is in destDir
+ */
+Output.prototype.owns = function(file) {
+    return this.name(file) !== undefined;
+};
+
+/**
+ * Note that a file belongs to this build, without writing it
+ * @param {string} file
+ */
+Output.prototype.keep = function(file) {
+    if (this.owns(file)) this._current.add(this.name(file));
+};
+
+/**
+ * Write a file, unless it already has these contents
+ * @param {string} file
+ * @param {string/Buffer} content
+ * @return {boolean} true if the file was written
+ */
+Output.prototype.write = function(file, content) {
+    const buffer = Buffer.isBuffer(content) ? content : Buffer.from(String(content), 'utf8');
+
+    this.keep(file);
+
+    if (same(file, buffer)) return false;
+
+    mkdirp.sync(path.dirname(file));
+    fs.writeFileSync(file, buffer);
+
+    return true;
+};
+
+/**
+ * Copy a file, unless the copy is already the same
+ * @param {string} source
+ * @param {string} file
+ * @return {boolean} true if the file was copied
+ */
+Output.prototype.copy = function(source, file) {
+    return this.write(file, fs.readFileSync(source));
+};
+
+function same(file, buffer) {
+    try {
+        return fs.readFileSync(file).equals(buffer);
+    } catch (e) {
+        return false;
+    }
+}
+
+/**
+ * @return {Array} files written by earlier builds, but not this one, that are still there.
+ *                 Names in the manifest that point outside destDir are ignored.
+ */
+Output.prototype.orphans = function() {
+    return this.previous
+        .filter(name => typeof name === 'string' && !this._current.has(name))
+        .map(name => path.join(this.destDir, name))
+        .filter(file => this.owns(file) && fs.existsSync(file));
+};
+
+/**
+ * Delete orphans, and any directories they leave empty
+ * @return {Array} deleted files
+ */
+Output.prototype.clean = function() {
+    const root = path.resolve(this.destDir),
+        orphans = this.orphans();
+
+    orphans.forEach(file => {
+        fs.unlinkSync(file);
+
+        // remove directories that are now empty, up to destDir
+        for (var dir = path.dirname(path.resolve(file)); dir !== root && dir.indexOf(root + path.sep) === 0; dir = path.dirname(dir)) {
+            try {
+                fs.rmdirSync(dir);
+            } catch (e) {
+                break;
+            }
+        }
+    });
+
+    return orphans;
+};
+
+/**
+ * Save the manifest. Orphans that weren't cleaned stay in it, so a later build can clean them.
+ * @return {Output} this
+ */
+Output.prototype.save = function() {
+    const files = new Set(this._current);
+
+    this.orphans().forEach(file => files.add(this.name(file)));
+
+    const json = JSON.stringify({files: Array.from(files).sort()}, null, 2) + '\n';
+
+    if (!same(this.manifest, Buffer.from(json, 'utf8'))) {
+        mkdirp.sync(this.destDir);
+        fs.writeFileSync(this.manifest, json, 'utf8');
+    }
+
+    return this;
+};
+
+module.exports = Output;
+module.exports.MANIFEST = MANIFEST;
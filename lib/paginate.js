@@ -0,0 +1,64 @@
+/*
+ * taft: generate files with Handlebars
+ * Copyright (C) 2016 Neil Freeman
+
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+*/
+/* jshint esversion: 6, node: true */
+
+'use strict';
+
+const url = require('./permalink').url;
+
+/**
+ * Look up a dotted key, like "site.posts", in an object
+ * @param {object} data
+ * @param {string} key
+ * @return {mixed} the value, or undefined if it's missing
+ */
+function lookup(data, key) {
+    return String(key).split('.').reduce((obj, k) => (obj === undefined || obj === null) ? undefined : obj[k], data);
+}
+
+/**
+ * Split a list into pages
+ * @param {Array} items
+ * @param {number} size number of items on each page
+ * @param {function} pathFor called with a page number (counting from 1) and the number of pages,
+ *                           returns the output path of that page
+ * @return {Array} one pagination object per page
+ */
+function paginate(items, size, pathFor) {
+    const count = Math.max(1, Math.ceil(items.length / size)),
+        paths = [];
+
+    for (var i = 1; i <= count; i++) paths.push(pathFor(i, count));
+
+    return paths.map((file, i) => ({
+        page: i + 1,
+        pages: count,
+        size: size,
+        total: items.length,
+        items: items.slice(i * size, (i + 1) * size),
+        path: file,
+        url: url(file),
+        first: url(paths[0]),
+        last: url(paths[count - 1]),
+        previous: (i > 0) ? url(paths[i - 1]) : undefined,
+        next: (i < count - 1) ? url(paths[i + 1]) : undefined,
+    }));
+}
+
+module.exports = paginate;
+module.exports.lookup = lookup;
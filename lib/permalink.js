@@ -0,0 +1,115 @@
+/*
+ * taft: generate files with Handlebars
+ * Copyright (C) 2016 Neil Freeman
+
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+*/
+/* jshint esversion: 6, node: true */
+
+'use strict';
+
+const path = require('path');
+
+const TOKEN_RE = /:([A-Za-z_]\w*)/g;
+
+/**
+ * Turn a string into something that's safe in a URL: "Hello, World" to "hello-world"
+ * @param {string} str
+ * @return {string}
+ */
+function slugify(str) {
+    return String(str).toLowerCase()
+        .replace(/[^\p{L}\p{N}]+/gu, '-')
+        .replace(/^-+|-+$/g, '');
+}
+
+function pad(n) {
+    return (n < 10 ? '0' : '') + n;
+}
+
+/**
+ * Gather the values that can be used in a permalink pattern
+ * @param {string} file source file, relative to the current directory
+ * @param {object} context page data. Strings and numbers are available as slugs.
+ * @param {string} ext extension of the output file
+ * @return {object}
+ */
+function tokens(file, context, ext) {
+    const vars = {},
+        dir = path.dirname(file).split(path.sep).join('/'),
+        basename = path.basename(file, path.extname(file));
+
+    Object.keys(context).forEach(key => {
+        if (typeof context[key] === 'string' || typeof context[key] === 'number')
+            vars[key] = slugify(context[key]);
+    });
+
+    vars.dir = (dir === '.') ? '' : dir;
+    vars.basename = basename;
+    vars.slug = slugify(context.slug || context.title || basename);
+    vars.ext = ext;
+
+    const date = (context.date instanceof Date) ? context.date : new Date(context.date);
+
+    if (context.date && !isNaN(date)) {
+        vars.year = String(date.getUTCFullYear());
+        vars.month = pad(date.getUTCMonth() + 1);
+        vars.day = pad(date.getUTCDate());
+        vars.date = [vars.year, vars.month, vars.day].join('-');
+    }
+
+    return vars;
+}
+
+/**
+ * Replace :tokens in a pattern. Tokens without a value are left as they are.
+ * @param {string} pattern e.g. ":dir/:slug/"
+ * @param {object} vars from tokens()
+ * @return {string}
+ */
+function expand(pattern, vars) {
+    return String(pattern).replace(TOKEN_RE, (match, name) =>
+        vars.hasOwnProperty(name) ? vars[name] : match
+    );
+}
+
+/**
+ * Tidy up an expanded permalink into a relative output path.
+ * "Pretty" permalinks that end with a slash are saved as index files.
+ * @param {string} link
+ * @param {string} ext extension to use when the link doesn't have one
+ * @return {string}
+ */
+function normalize(link, ext) {
+    link = link.replace(/\/{2,}/g, '/').replace(/^\//, '');
+
+    if (link === '' || link.slice(-1) === '/')
+        return link + 'index.' + ext;
+
+    return (path.posix.extname(link) === '') ? link + '.' + ext : link;
+}
+
+/**
+ * @param {string} output a relative output path
+ * @return {string} the URL of that path, leaving off index.html
+ */
+function url(output) {
+    return '/' + output.replace(/^\/+/, '').replace(/(^|\/)index\.html?$/, '$1');
+}
+
+module.exports.slugify = slugify;
+module.exports.tokens = tokens;
+module.exports.expand = expand;
+module.exports.normalize = normalize;
+module.exports.url = url;
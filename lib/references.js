@@ -0,0 +1,70 @@
+/*
+ * taft: generate files with Handlebars
+ * Copyright (C) 2016 Neil Freeman
+
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+*/
+/* jshint esversion: 6, node: true */
+
+'use strict';
+
+// The Visitor comes from the package, since an environment passed in may not have one. They all parse to the same AST.
+const Visitor = require('handlebars').Visitor;
+
+/**
+ * List the partials, possible helpers and top-level data keys named in a Handlebars template.
+ * Dynamic partials, e.g. {{> (whichPartial) }}, can't be known ahead of time and are skipped.
+ * @param {object} Handlebars a Handlebars environment
+ * @param {string} template source of the template
+ * @return {object} with three Sets, "partials", "helpers" and "data"
+ */
+module.exports = function(Handlebars, template) {
+    const result = {partials: new Set(), helpers: new Set(), data: new Set()},
+        visitor = new Visitor();
+
+    function addPartial(node) {
+        if (node.name.type !== 'SubExpression') result.partials.add(node.name.original);
+    }
+
+    function addHelper(node) {
+        if (node.path.type === 'PathExpression' && node.path.parts.length === 1)
+            result.helpers.add(node.path.original);
+    }
+
+    visitor.PartialStatement = function(node) {
+        addPartial(node);
+        return Visitor.prototype.PartialStatement.call(this, node);
+    };
+
+    visitor.PartialBlockStatement = function(node) {
+        addPartial(node);
+        return Visitor.prototype.PartialBlockStatement.call(this, node);
+    };
+
+    visitor.PathExpression = function(node) {
+        if (node.parts.length) result.data.add(node.parts[0]);
+        return Visitor.prototype.PathExpression.call(this, node);
+    };
+
+    ['MustacheStatement', 'BlockStatement', 'SubExpression'].forEach(type => {
+        visitor[type] = function(node) {
+            addHelper(node);
+            return Visitor.prototype[type].call(this, node);
+        };
+    });
+
+    visitor.accept(Handlebars.parse(template));
+
+    return result;
+};
@@ -0,0 +1,86 @@
+/*
+ * taft: generate files with Handlebars
+ * Copyright (C) 2016 Neil Freeman
+
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+*/
+/* jshint esversion: 6, node: true */
+
+'use strict';
+
+const FORMATS = ['json', 'ndjson'];
+
+// which count in the summary each event adds to
+const COUNTS = {data: 'data', helper: 'helpers', page: 'pages', skip: 'skipped', write: 'written', error: 'errors'};
+
+/**
+ * A Reporter describes a build as events, for tools that would rather not read its messages.
+ * With "ndjson", each event is written as a line of JSON as it happens. With "json",
+ * the events are kept and written as one document, with the summary, at the end.
+ * @constructor
+ * @this {Reporter}
+ * @param {string} format "json" or "ndjson"
+ * @param {object} stream where to write (default: process.stdout)
+ */
+function Reporter(format, stream) {
+    if (!(this instanceof Reporter)) return new Reporter(format, stream);
+
+    if (FORMATS.indexOf(format) === -1)
+        throw new Error('reporter should be one of: ' + FORMATS.join(', '));
+
+    this.format = format;
+    this.stream = stream || process.stdout;
+    this.events = [];
+    this.counts = {data: 0, helpers: 0, pages: 0, skipped: 0, written: 0, unchanged: 0, errors: 0};
+    this.start = Date.now();
+
+    return this;
+}
+
+/**
+ * @param {string} name "data", "helper", "page", "skip", "write" or "error"
+ * @param {object} details e.g. the source and output paths, and how long it took in ms
+ */
+Reporter.prototype.event = function(name, details) {
+    const event = Object.assign({event: name}, details);
+
+    // a paginated page counts once for each page built from it
+    if (name === 'write' && event.unchanged) this.counts.unchanged++;
+    else if (name === 'page') this.counts.pages += event.pages || 1;
+    else if (COUNTS[name]) this.counts[COUNTS[name]]++;
+
+    if (this.format === 'ndjson') this.stream.write(JSON.stringify(event) + '\n');
+    else this.events.push(event);
+};
+
+/**
+ * Finish with counts of each kind of event and how the build went. Only the first summary is written.
+ * @param {number} status the exit status
+ * @return {object} the summary
+ */
+Reporter.prototype.summary = function(status) {
+    if (this._summary) return this._summary;
+
+    const summary = Object.assign({event: 'summary'}, this.counts, {status: status, ms: Date.now() - this.start});
+
+    if (this.format === 'ndjson') this.stream.write(JSON.stringify(summary) + '\n');
+    else this.stream.write(JSON.stringify({events: this.events, summary: summary}, null, 2) + '\n');
+
+    this._summary = summary;
+
+    return summary;
+};
+
+module.exports = Reporter;
+module.exports.FORMATS = FORMATS;
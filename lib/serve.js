@@ -0,0 +1,247 @@
+/*
+ * taft: generate files with Handlebars
+ * Copyright (C) 2016 Neil Freeman
+
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+*/
+/* jshint esversion: 6, node: true */
+
+'use strict';
+
+const fs = require('fs'),
+    http = require('http'),
+    path = require('path');
+
+const errors = require('./errors');
+
+const RELOAD_PATH = '/__taft/reload';
+
+const RELOAD_SCRIPT = '<script>new EventSource("' + RELOAD_PATH + '")' +
+    '.onmessage = function() { location.reload(); };</script>';
+
+const TYPES = {
+    css: 'text/css',
+    gif: 'image/gif',
+    htm: 'text/html',
+    html: 'text/html',
+    ico: 'image/x-icon',
+    jpeg: 'image/jpeg',
+    jpg: 'image/jpeg',
+    js: 'application/javascript',
+    json: 'application/json',
+    map: 'application/json',
+    md: 'text/markdown',
+    pdf: 'application/pdf',
+    png: 'image/png',
+    svg: 'image/svg+xml',
+    txt: 'text/plain',
+    webp: 'image/webp',
+    woff: 'font/woff',
+    woff2: 'font/woff2',
+    xml: 'application/xml',
+};
+
+function contentType(ext) {
+    const type = TYPES[String(ext).replace(/^\./, '').toLowerCase()] || 'application/octet-stream';
+    return (type.indexOf('text/') === 0 || type === 'application/javascript') ? type + '; charset=utf-8' : type;
+}
+
+/**
+ * Strip the extension from a URL path, and point directories to their index
+ * @param {string} pathname
+ * @return {string}
+ */
+function pageKey(pathname) {
+    if (pathname.slice(-1) === '/') pathname += 'index';
+    return pathname.slice(0, pathname.length - path.posix.extname(pathname).length);
+}
+
+/**
+ * Add the live reload script to an HTML page, just before </body> if there is one.
+ * @param {string} html
+ * @return {string}
+ */
+function inject(html) {
+    const i = html.lastIndexOf('</body>');
+    return (i > -1) ? html.slice(0, i) + RELOAD_SCRIPT + html.slice(i) : html + RELOAD_SCRIPT;
+}
+
+/**
+ * A page that failed to build, so the browser shows what went wrong and reloads when it's fixed
+ * @param {Error} error
+ * @return {string} html
+ */
+function errorPage(error) {
+    const text = errors.format(error)
+        .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+
+    return '<pre>' + text + '</pre>\n' + RELOAD_SCRIPT;
+}
+
+/**
+ * A Server renders pages when they're requested, and serves everything else from a static directory.
+ * @constructor
+ * @this {Server}
+ * @param {object} options
+ * @param {Map} options.pages maps URL paths (e.g. "/about.html") to source files
+ * @param {function} options.render called with a source file, returns a Content object, a list of them, or undefined
+ * @param {string} options.ext default extension of rendered pages
+ * @param {string} options.static directory of static assets (optional)
+ * @param {Map} options.assets maps URL paths of assets to their files (optional)
+ */
+function Server(options) {
+    if (!(this instanceof Server)) return new Server(options);
+
+    this.static = options.static ? path.resolve(options.static) : undefined;
+    this.assets = options.assets || new Map();
+    this.render = options.render;
+    this.ext = options.ext || 'html';
+
+    // pages are looked up without their extension, since a page's front matter can change it
+    this._pages = new Map();
+    options.pages.forEach((file, url) => this._pages.set(pageKey(url), file));
+
+    this._sources = new Set(options.pages.values());
+    this._discovered = false;
+
+    this._clients = new Set();
+    this._server = http.createServer(this.handle.bind(this));
+
+    return this;
+}
+
+Server.prototype.listen = function(port, callback) {
+    this._server.listen(port, callback);
+    return this;
+};
+
+Server.prototype.address = function() {
+    return this._server.address();
+};
+
+/**
+ * Render every page, to find the URLs of pages that set their own (e.g. paginated pages).
+ */
+Server.prototype.discover = function() {
+    this._discovered = true;
+
+    this._sources.forEach(file =>
+        [].concat(this.render(file) || []).forEach(content => {
+            if (content.url) this._pages.set(pageKey(content.url), file);
+        })
+    );
+};
+
+/**
+ * Tell open browsers to reload.
+ */
+Server.prototype.reload = function() {
+    // pages may have moved
+    this._discovered = false;
+    this._clients.forEach(res => res.write('data: reload\n\n'));
+};
+
+Server.prototype.close = function(callback) {
+    this._clients.forEach(res => res.end());
+    this._clients.clear();
+    this._server.close(callback);
+};
+
+Server.prototype.handle = function(req, res) {
+    var pathname;
+
+    try {
+        pathname = decodeURIComponent(req.url.split('?').shift());
+    } catch (e) {
+        return this._send(res, 400, 'txt', 'bad request');
+    }
+
+    if (pathname === RELOAD_PATH) {
+        res.writeHead(200, {'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache', 'Connection': 'keep-alive'});
+        res.write('\n');
+        this._clients.add(res);
+        req.on('close', () => this._clients.delete(res));
+        return;
+    }
+
+    const key = pageKey(pathname);
+
+    if (!this._pages.has(key) && !this._discovered) this.discover();
+
+    if (this._pages.has(key)) {
+        const results = [].concat(this.render(this._pages.get(key)) || []),
+            content = (results.length === 1) ? results[0] : results.find(c => pageKey(c.url) === key);
+
+        if (content && content.error) return this._send(res, 500, 'html', errorPage(content.error));
+
+        if (content) {
+            const ext = (content.data.page || content.data).ext || this.ext,
+                type = contentType(ext),
+                body = content.toString();
+
+            return this._send(res, 200, ext, type.indexOf('text/html') === 0 ? inject(body) : body);
+        }
+    }
+
+    this._static(pathname, res);
+};
+
+Server.prototype._static = function(pathname, res) {
+    if (this.assets.has(pathname)) return this._file(path.resolve(this.assets.get(pathname)), res);
+
+    if (!this.static) return this._send(res, 404, 'txt', 'not found: ' + pathname);
+
+    var file = path.join(this.static, pathname);
+
+    // don't wander out of the static directory
+    if (file !== this.static && file.indexOf(this.static + path.sep) !== 0)
+        return this._send(res, 403, 'txt', 'forbidden');
+
+    fs.stat(file, (err, stat) => {
+        if (!err && stat.isDirectory()) {
+            file = path.join(file, 'index.html');
+            stat = fs.existsSync(file) && fs.statSync(file);
+        }
+
+        if (err || !stat || !stat.isFile())
+            return this._send(res, 404, 'txt', 'not found: ' + pathname);
+
+        this._file(file, res);
+    });
+};
+
+/**
+ * Send a file, with the reload script if it's HTML
+ * @param {string} file
+ * @param {object} res
+ */
+Server.prototype._file = function(file, res) {
+    const ext = path.extname(file);
+
+    if (contentType(ext).indexOf('text/html') === 0)
+        return fs.readFile(file, 'utf8', (e, html) => {
+            if (e) this._send(res, 500, 'txt', e.message);
+            else this._send(res, 200, ext, inject(html));
+        });
+
+    res.writeHead(200, {'Content-Type': contentType(ext)});
+    fs.createReadStream(file).pipe(res);
+};
+
+Server.prototype._send = function(res, status, ext, body) {
+    res.writeHead(status, {'Content-Type': contentType(ext)});
+    res.end(body);
+};
+
+module.exports = Server;
@@ -0,0 +1,156 @@
+/*
+ * taft: generate files with Handlebars
+ * Copyright (C) 2016 Neil Freeman
+
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+*/
+/* jshint esversion: 6, node: true */
+
+'use strict';
+
+const fs = require('fs'),
+    path = require('path');
+
+/**
+ * A Watcher keeps track of the files each page depends on, and when one
+ * of them changes, tells Taft to reload it and rebuilds the affected pages.
+ * @constructor
+ * @this {Watcher}
+ * @param {Taft} taft
+ * @param {Array} pages list of page files
+ * @param {function} build called with a page's file name when it needs rebuilding
+ * @param {object} options "interval" is the polling interval in milliseconds
+ */
+function Watcher(taft, pages, build, options) {
+    if (!(this instanceof Watcher)) return new Watcher(taft, pages, build, options);
+
+    options = options || {};
+
+    this.taft = taft;
+    this.build = build;
+    this.interval = options.interval || 250;
+
+    this._pages = new Map();
+    this._deps = new Map();
+    this._watched = new Map();
+    this._callbacks = new Map();
+
+    pages.forEach(page => this.add(page));
+
+    return this;
+}
+
+/**
+ * Start tracking a page and the files it depends on.
+ * @param {string} page
+ * @return {Watcher} this
+ */
+Watcher.prototype.add = function(page) {
+    const file = path.resolve(page);
+    var deps;
+
+    try {
+        deps = this.taft.dependencies(page);
+    } catch (err) {
+        // a missing or broken page still gets watched, so it's picked up when fixed
+        deps = new Set([file]);
+    }
+
+    this._pages.set(file, page);
+    this._deps.set(file, deps);
+    deps.forEach(dep => this._watch(dep));
+
+    return this;
+};
+
+/**
+ * Watch files that aren't pages or what they depend on, such as assets
+ * @param {Array} files
+ * @param {function} callback called with a file when it changes, before pages that depend on it are rebuilt
+ * @return {Watcher} this
+ */
+Watcher.prototype.also = function(files, callback) {
+    files.forEach(file => {
+        file = path.resolve(file);
+        this._callbacks.set(file, callback);
+        this._watch(file);
+    });
+
+    return this;
+};
+
+/**
+ * @param {string} file
+ * @return {Array} the pages that depend on file
+ */
+Watcher.prototype.affected = function(file) {
+    file = path.resolve(file);
+    const pages = [];
+
+    this._deps.forEach((deps, page) => {
+        if (deps.has(file)) pages.push(this._pages.get(page));
+    });
+
+    return pages;
+};
+
+/**
+ * Reload a changed file and rebuild the pages that depend on it.
+ * @param {string} file
+ * @return {Array} the pages that were rebuilt
+ */
+Watcher.prototype.change = function(file) {
+    const pages = this.affected(file);
+
+    this.taft.debug('changed: ' + file);
+    this.taft.reload(file);
+
+    const callback = this._callbacks.get(path.resolve(file));
+    if (callback) callback(file);
+
+    // rebuilding may have changed what a page depends on
+    const rebuild = () => pages.forEach(page => {
+        this.build(page);
+        this.add(page);
+    });
+
+    // wait for JavaScript data files that load asynchronously
+    if (this.taft._loading.size) this.taft.ready().then(rebuild);
+    else rebuild();
+
+    return pages;
+};
+
+Watcher.prototype._watch = function(file) {
+    if (this._watched.has(file)) return;
+
+    const listener = (curr, prev) => {
+        // ignore deleted files and stat changes that aren't edits
+        if (curr.mtimeMs === 0 || curr.mtimeMs === prev.mtimeMs) return;
+        this.change(file);
+    };
+
+    fs.watchFile(file, {interval: this.interval}, listener);
+    this._watched.set(file, listener);
+};
+
+/**
+ * Stop watching all files.
+ */
+Watcher.prototype.close = function() {
+    this._watched.forEach((listener, file) => fs.unwatchFile(file, listener));
+    this._watched.clear();
+};
+
+module.exports = Watcher;
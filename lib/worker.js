@@ -0,0 +1,58 @@
+/*
+ * taft: generate files with Handlebars
+ * Copyright (C) 2016 Neil Freeman
+
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+*/
+/* jshint esversion: 6, node: true */
+
+// A worker thread started by jobs.build(). It builds the pages it's sent and posts back the results.
+
+'use strict';
+
+const threads = require('worker_threads'),
+    Taft = require('..'),
+    jobs = require('./jobs');
+
+/**
+ * A Taft that keeps its messages and events, so the main thread can pass them on in order
+ * @constructor
+ * @this {WorkerTaft}
+ * @param {object} options
+ */
+function WorkerTaft(options) {
+    this._log = [];
+    return Taft.call(this, options);
+}
+
+WorkerTaft.prototype = Object.create(Taft.prototype);
+WorkerTaft.prototype.constructor = WorkerTaft;
+
+['err', 'info', 'debug', 'report'].forEach(method => {
+    WorkerTaft.prototype[method] = function() { this._log.push([method].concat(Array.from(arguments))); };
+});
+
+const data = threads.workerData,
+    taft = new WorkerTaft(data.options).collections(data.collect);
+
+threads.parentPort.on('message', message => {
+    // messages from setting up were already printed by the main thread
+    taft._log = [];
+
+    const pages = jobs.pages(taft, message.file, data.settings);
+
+    pages.forEach(page => page.error = jobs.serialize(page.error));
+
+    threads.parentPort.postMessage({index: message.index, log: taft._log, pages: pages});
+});
@@ -0,0 +1,44 @@
+/*jshint node: true */
+
+// Temporary directories for tests. Make them with tmp.dir(),
+// and remove them with tmp.clean() in an after or afterEach hook.
+
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+
+var made = [];
+
+function remove(file) {
+    var stat;
+    try {
+        stat = fs.lstatSync(file);
+    } catch (e) {
+        if (e.code === 'ENOENT') return;
+        throw e;
+    }
+
+    if (stat.isDirectory()) {
+        fs.readdirSync(file).forEach(function(name) { remove(path.join(file, name)); });
+        fs.rmdirSync(file);
+    } else {
+        fs.unlinkSync(file);
+    }
+}
+
+module.exports = {
+    /**
+     * @param {string} [name] added to the directory's name
+     * @return {string} a new, empty directory
+     */
+    dir: function(name) {
+        var dir = fs.mkdtempSync(path.join(os.tmpdir(), 'taft-' + (name ? name + '-' : '')));
+        made.push(dir);
+        return dir;
+    },
+
+    // remove everything made since the last clean
+    clean: function() {
+        made.splice(0).forEach(remove);
+    },
+};
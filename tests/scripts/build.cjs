@@ -0,0 +1,3 @@
+module.exports = function(options) {
+    return {ext: options.ext || 'html', stamp: 'stamped'};
+};
@@ -0,0 +1,4 @@
+export default async function() {
+    await new Promise(resolve => setTimeout(resolve, 10));
+    return {cauldrons: 3};
+}
@@ -0,0 +1 @@
+module.exports = {title: 'Spooky Potions'};
@@ -0,0 +1,148 @@
+var should = require('should');
+var fs = require('fs');
+var path = require('path');
+var child = require('child_process');
+var Handlebars = require('handlebars');
+var Assets = require('../lib/assets');
+var Taft = require('..');
+var tmp = require('./lib/tmp');
+
+describe('Assets', function() {
+
+    afterEach(tmp.clean);
+
+    var src = __dirname + '/assets/src';
+
+    it('names assets by their path from cwd', function() {
+        var assets = new Assets({cwd: src}).add(src + '/{css,img}/*');
+
+        assets.size().should.equal(2);
+        assets.manifest().should.deepEqual({'css/site.css': 'css/site.css', 'img/newt.gif': 'img/newt.gif'});
+        assets.url('css/site.css').should.equal('/css/site.css');
+        assets.url('/img/newt.gif').should.equal('/img/newt.gif');
+    });
+
+    it('adds content hashes to names', function() {
+        var assets = new Assets({cwd: src, hash: true}).add(src + '/css/site.css');
+
+        assets.url('css/site.css').should.equal('/css/site.121f9108.css');
+        assets.urls().get('/css/site.121f9108.css').should.equal(src + '/css/site.css');
+    });
+
+    it('complains about unknown assets', function() {
+        var assets = new Assets({cwd: src});
+        (function() { assets.url('css/nope.css'); }).should.throw('unknown asset: css/nope.css');
+        (function() { assets.add(src + '/css/nope.css'); }).should.throw('could not find asset');
+        (function() { assets.add(__dirname + '/data/json.json'); }).should.throw(/must be inside/);
+    });
+
+    it('copies assets', function() {
+        var dest = tmp.dir('assets'),
+            written = new Assets({cwd: src, hash: true}).add(src + '/{css,img}/*').copy(dest);
+
+        written.should.deepEqual([path.join(dest, 'css/site.121f9108.css'), path.join(dest, 'img/newt.25c9b37a.gif')]);
+        fs.readFileSync(written[0], 'utf8').should.equal(fs.readFileSync(src + '/css/site.css', 'utf8'));
+    });
+
+    it('gives templates an asset helper', function() {
+        var T = new Taft({silent: true, cwd: src, assets: src + '/{css,img}/*', assetHash: true});
+
+        T.build(src + '/index.html').toString()
+            .should.equal('<link href="/css/site.121f9108.css"><img src="/img/newt.25c9b37a.gif">\n');
+    });
+
+    it("leaves the asset helper of a shared Handlebars alone", function() {
+        var H = Handlebars.create();
+        H.registerHelper('asset', function() { return 'mine'; });
+
+        new Taft({silent: true, handlebars: H, cwd: src, assets: src + '/css/*'});
+        H.compile('{{asset "css/site.css"}}')().should.equal('mine');
+    });
+
+    it('names assets again when they change', function() {
+        var dir = tmp.dir('assets'),
+            file = path.join(dir, 'site.css');
+
+        fs.writeFileSync(file, 'a');
+        var assets = new Assets({cwd: dir, hash: true}).add(file),
+            before = assets.url('site.css');
+
+        assets.sources().should.deepEqual([file]);
+        fs.writeFileSync(file, 'b');
+        assets.update(path.join(dir, 'nope.css')).should.be.false();
+        assets.update(file).should.be.true();
+        assets.url('site.css').should.not.equal(before);
+    });
+
+    it('are copied again in watch mode, and pages link to the new hash', function(done) {
+        this.timeout(10000);
+
+        var dir = tmp.dir('assets'),
+            dest = path.join(dir, 'build'),
+            css = path.join(dir, 'site.css'),
+            page = path.join(dir, 'index.html');
+
+        fs.writeFileSync(css, 'a');
+        fs.writeFileSync(page, '---\nlayout: false\n---\n{{asset "site.css"}}');
+
+        var watch = child.spawn(process.execPath, ['bin/taft.js', '-s', '--no-config', '--watch', '--asset-hash', '-C', dir, '-a', css, '-D', dest, page]);
+
+        var finish = function(err) {
+            clearInterval(poll);
+            clearTimeout(timeout);
+            // the directory is removed after the watcher has stopped writing to it
+            if (watch.exitCode !== null) return done(err);
+            watch.once('exit', function() { done(err); });
+            watch.kill();
+        };
+
+        // wait for the first build, then change the asset, then wait for the page to link to its new copy
+        var changed = false;
+        var poll = setInterval(function() {
+            var html = fs.existsSync(path.join(dest, 'index.html')) ? fs.readFileSync(path.join(dest, 'index.html'), 'utf8') : '';
+
+            if (!changed && html) {
+                changed = html;
+                // the watcher ignores edits within the same millisecond
+                setTimeout(function() { fs.writeFileSync(css, 'b'); }, 50);
+            } else if (changed && html && html !== changed) {
+                try {
+                    fs.readFileSync(path.join(dest, html.trim()), 'utf8').should.equal('b');
+                    finish();
+                } catch (e) {
+                    finish(e);
+                }
+            }
+        }, 100);
+
+        var timeout = setTimeout(function() {
+            finish(new Error('the page was not built again'));
+        }, 8000);
+    });
+
+    it("reports assets that can't be copied, and builds the pages", function(done) {
+        var dest = tmp.dir('assets'),
+            cmd = 'bin/taft.js --no-config -C ' + src + ' -a "' + src + '/{css,img}/*" -D ' + dest + ' ' + src + '/index.html';
+
+        // a directory where the asset goes
+        fs.mkdirSync(path.join(dest, 'css', 'site.css'), {recursive: true});
+
+        child.exec(cmd, function(e, result, error) {
+            should.exist(e);
+            e.code.should.equal(1);
+            error.should.match(/^asset .*css\/site\.css: EISDIR/);
+            error.should.endWith('1 error\n');
+            fs.existsSync(path.join(dest, 'index.html')).should.be.true();
+            done();
+        });
+    });
+
+    it('records missing assets as errors', function() {
+        var T = new Taft({silent: true, cwd: src});
+        T.err = function() {};
+        T.assets(src + '/css/nope.css');
+
+        T.errors.length.should.equal(1);
+        T.errors[0].kind.should.equal('asset');
+    });
+});
@@ -0,0 +1,67 @@
+var should = require('should');
+var Handlebars = require('handlebars');
+var Taft = require('..');
+
+describe('Taft blocks', function() {
+
+    var T = new Taft({silent: true, layouts: [__dirname + '/blocks/base.html', __dirname + '/blocks/post.html', __dirname + '/blocks/cycle-*.html']});
+    T.err = function() {};
+
+    var squash = function(str) { return String(str).replace(/\s+/g, ' ').trim(); };
+
+    it('fills blocks across layouts', function() {
+        var result = squash(T.build(__dirname + '/blocks/page.html'));
+
+        result.should.containEql('<head><title>Newts</title></head>');
+        result.should.containEql('<main><article> Eye of newt </article> </main>');
+    });
+
+    it('appends and prepends, the page last', function() {
+        var result = squash(T.build(__dirname + '/blocks/page.html'));
+
+        result.should.containEql('<aside>recent posts, links, newts</aside>');
+        result.should.endWith('<script src="site.js"></script><script src="post.js"></script><script src="newts.js"></script>');
+    });
+
+    it('uses the default content of empty blocks', function() {
+        var result = squash(T.build(__dirname + '/blocks/cycle.html', {layout: 'base'}));
+        result.should.containEql('<head><title>Potions</title></head>');
+    });
+
+    it('starts again for each page', function() {
+        T.build(__dirname + '/blocks/page.html');
+        squash(T.build(__dirname + '/blocks/plain.html')).should.containEql('<aside>recent posts, links</aside>');
+    });
+
+    it('catches layout cycles', function() {
+        var result = T.build(__dirname + '/blocks/cycle.html');
+
+        result.error.message.should.equal('layout cycle: cycle-a -> cycle-b -> cycle-a');
+        result.error.kind.should.equal('layout');
+        result.error.file.should.endWith('cycle-a.html');
+    });
+
+    it('rejects unknown content modes', function() {
+        var T2 = new Taft({silent: true});
+        T2.err = function() {};
+        T2.Handlebars.compile('{{#content "head" mode="sideways"}}x{{/content}}')
+            .bind(null, {}, {data: {blocks: new Map()}}).should.throw(/content mode/);
+    });
+
+    it('still reads content and block as data', function() {
+        var T2 = new Taft({silent: true});
+        T2.build(__dirname + '/blocks/data.html').toString().should.equal('<p>hello</p>\n');
+        T2.Handlebars.compile('<p>{{content}}</p>{{block}}')({content: 'hello', block: '<b>'}).should.equal('<p>hello</p>&lt;b&gt;');
+        T2.Handlebars.compile('{{#content}}{{.}} {{/content}}')({content: ['a', 'b']}).should.equal('a b ');
+        T2.Handlebars.compile('{{#content}}x{{else}}none{{/content}}')({}).should.equal('none');
+    });
+
+    it('keeps block and content helpers that a shared Handlebars already has', function() {
+        var H = Handlebars.create();
+        H.registerHelper('block', function() { return 'mine'; });
+
+        var T2 = new Taft({silent: true, handlebars: H});
+        T2.Handlebars.compile('{{block}}')({}).should.equal('mine');
+        T2.Handlebars.helpers.should.have.property('content');
+    });
+});
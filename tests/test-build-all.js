@@ -0,0 +1,80 @@
+var should = require('should');
+var fs = require('fs');
+var path = require('path');
+var Taft = require('..');
+var tmp = require('./lib/tmp');
+
+describe('Taft buildAll', function() {
+
+    before(function() {
+        this.dir = tmp.dir();
+        this.T = new Taft({silent: true});
+    });
+
+    after(tmp.clean);
+
+    it('resolves to a manifest', function() {
+        var dir = this.dir;
+
+        return this.T.buildAll(['tests/blog/**/*.html', 'tests/pages/paginate.html'], {destDir: dir, cwd: 'tests'})
+            .then(function(manifest) {
+                var outputs = manifest.map(function(page) { return page.output; });
+
+                outputs.should.containEql(path.join(dir, 'blog', '2016', 'cauldron.html'));
+                outputs.should.containEql(path.join(dir, 'pages', 'paginate', 'page', '3.html'));
+                outputs.should.not.containEql(path.join(dir, 'blog', '2017', 'draft.html'));
+
+                var cauldron = manifest[outputs.indexOf(path.join(dir, 'blog', '2016', 'cauldron.html'))];
+                cauldron.source.should.equal(path.join('tests', 'blog', '2016', 'cauldron.html'));
+                cauldron.content.should.equal('Bubbling.\n');
+                cauldron.data.title.should.equal('Cauldron care');
+                cauldron.data.TAFT.file.should.equal(path.join('blog', '2016', 'cauldron.html'));
+
+                fs.existsSync(path.join(dir, 'blog')).should.be.false();
+            });
+    });
+
+    it('writes files', function() {
+        var dir = this.dir;
+
+        return this.T.buildAll('tests/blog/2017/*.html', {destDir: dir, cwd: 'tests/blog', ext: 'txt', write: true})
+            .then(function(manifest) {
+                manifest.length.should.equal(1);
+                fs.readFileSync(path.join(dir, '2017', 'newts.txt'), 'utf8').should.equal('Where to find them.\n');
+            });
+    });
+
+    it('needs a destDir to write', function() {
+        return this.T.buildAll('tests/blog/*.html', {write: true}).should.be.rejectedWith(/destDir/);
+    });
+
+    it("doesn't change the options of the Taft object", function() {
+        var T = new Taft({silent: true});
+
+        return T.buildAll('tests/blog/2017/*.html', {destDir: this.dir, cwd: 'tests/blog', ext: 'txt'})
+            .then(function() {
+                should(T._options.cwd).be.undefined();
+                should(T._options.ext).be.undefined();
+            });
+    });
+
+    it('lists only the pages of this build in collections, and then puts back the old ones', function() {
+        var T = new Taft({silent: true}).collections('tests/blog/**/*.html'),
+            before = T.collections();
+
+        return T.buildAll(['tests/blog/index.html', 'tests/blog/2016/*.html'], {destDir: this.dir, cwd: 'tests/blog'})
+            .then(function(manifest) {
+                manifest[0].data.collections.all.map(function(page) { return page.url; })
+                    .should.eql(['/2016/cauldron.html', '/']);
+
+                T.collections().should.equal(before);
+                T.collections().all.length.should.equal(3);
+                T.collections().all[0].url.should.equal('/tests/blog/2017/newts.html');
+            });
+    });
+
+    it('rejects, rather than throwing, when options are wrong', function() {
+        var T = new Taft({silent: true});
+        return T.buildAll('tests/blog/*.html', {ext: Object.create(null)}).should.be.rejected();
+    });
+});
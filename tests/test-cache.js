@@ -0,0 +1,94 @@
+var should = require('should');
+var fs = require('fs');
+var path = require('path');
+var Handlebars = require('handlebars');
+var Taft = require('..');
+var TemplateCache = require('../lib/cache');
+var tmp = require('./lib/tmp');
+
+describe('Taft template cache', function() {
+
+    afterEach(tmp.clean);
+
+    it('compiles each template once', function() {
+        var T = new Taft({silent: true, layouts: __dirname + '/layouts/nested.handlebars', partials: __dirname + '/partials/partial.handlebars'});
+
+        T.build(__dirname + '/pages/nested.html');
+        var compiled = T._templates.stats.compiled;
+
+        T.build(__dirname + '/pages/nested.html');
+        T._templates.stats.compiled.should.equal(compiled);
+        T._templates.stats.memory.should.be.above(0);
+    });
+
+    it('shares templates with the same source', function() {
+        var cache = new TemplateCache(Handlebars.create());
+
+        cache.compile('{{a}}').should.equal(cache.compile('{{a}}'));
+        cache.compile('{{a}}').should.not.equal(cache.compile('{{b}}'));
+        cache.compile('{{a}}')({a: 'x'}).should.equal('x');
+    });
+
+    it('keeps precompiled templates on disk', function() {
+        var dir = path.join(tmp.dir(), 'cache');
+
+        var first = new TemplateCache(Handlebars.create(), {dir: dir});
+        first.compile('<b>{{a}}</b>');
+        first.stats.compiled.should.equal(1);
+        fs.readdirSync(dir).length.should.equal(1);
+
+        var second = new TemplateCache(Handlebars.create(), {dir: dir});
+        second.compile('<b>{{a}}</b>')({a: 'y'}).should.equal('<b>y</b>');
+        second.stats.compiled.should.equal(0);
+        second.stats.disk.should.equal(1);
+    });
+
+    it("warns, and still compiles, when it can't write to disk", function() {
+        var file = path.join(tmp.dir(), 'file'),
+            warnings = [];
+
+        fs.writeFileSync(file, '');
+
+        // a directory can't be made inside a file
+        var cache = new TemplateCache(Handlebars.create(), {dir: path.join(file, 'cache'), warn: msg => warnings.push(msg)});
+
+        cache.compile('{{a}}')({a: 'x'}).should.equal('x');
+        cache.compile('{{b}}')({b: 'y'}).should.equal('y');
+        warnings.length.should.equal(1);
+        warnings[0].should.match(/^can't save precompiled templates in .*cache: /);
+    });
+
+    it("builds pages when the cache directory can't be written to", function() {
+        var file = path.join(tmp.dir(), 'file');
+        fs.writeFileSync(file, '');
+
+        var T = new Taft({silent: true, cacheDir: path.join(file, 'cache')});
+        should(T.build(__dirname + '/pages/foo.html').error).be.undefined();
+    });
+
+    it("compiles again when a template on disk won't load", function() {
+        var dir = path.join(tmp.dir(), 'cache');
+
+        var first = new TemplateCache(Handlebars.create(), {dir: dir});
+        first.compile('<b>{{a}}</b>');
+
+        // cut short, as by another build writing it at the same time
+        var file = path.join(dir, fs.readdirSync(dir)[0]);
+        fs.writeFileSync(file, fs.readFileSync(file, 'utf8').slice(0, 20));
+
+        var second = new TemplateCache(Handlebars.create(), {dir: dir});
+        second.compile('<b>{{a}}</b>')({a: 'z'}).should.equal('<b>z</b>');
+        second.stats.compiled.should.equal(1);
+        fs.readdirSync(dir).should.eql([path.basename(file)]);
+
+        new TemplateCache(Handlebars.create(), {dir: dir}).compile('<b>{{a}}</b>')({a: 'z'}).should.equal('<b>z</b>');
+    });
+
+    it('can be turned off', function() {
+        var dir = path.join(tmp.dir(), 'cache');
+        var cache = new TemplateCache(Handlebars.create(), {cache: false, dir: dir});
+
+        cache.compile('{{a}}').should.not.equal(cache.compile('{{a}}'));
+        fs.existsSync(dir).should.be.false();
+    });
+});
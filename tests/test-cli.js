@@ -3,6 +3,7 @@
 var fs = require('fs');
 var child = require('child_process');
 var should = require('should');
+var tmp = require('./lib/tmp');
 
 const command = 'bin/taft.js';
 const execArgs = [
@@ -23,6 +24,9 @@ const Fixture = fs.readFileSync(__dirname + '/fixtures/index.html', {
 });
 
 describe('Taft cli', function(){
+
+    afterEach(tmp.clean);
+
     it('gives help when asked', function(done) {
         this.timeout(500);
 
@@ -109,6 +113,42 @@ describe('Taft cli', function(){
         });
     });
 
+    it('exits with an error when the build throws', function(done) {
+        this.timeout(1000);
+
+        var file = require('path').join(tmp.dir(), 'not-a-dir');
+        fs.writeFileSync(file, '');
+
+        child.exec(command + ' --no-config --silent -D ' + file + ' tests/pages/no-layout.html', function(e, result, error) {
+            should.exist(e);
+            e.code.should.equal(1);
+            error.should.containEql('error: ');
+            done();
+        });
+    });
+
+    it("exits with an error when a file can't be saved", function(done) {
+        this.timeout(1000);
+
+        // nothing can be saved inside a file
+        var file = require('path').join(tmp.dir(), 'not-a-dir');
+        fs.writeFileSync(file, '');
+
+        child.exec(command + ' --no-config --reporter ndjson -o ' + file + '/page.html tests/pages/no-layout.html', function(e, result, error) {
+            should.exist(e);
+            e.code.should.equal(1);
+            error.should.match(/^write .*page\.html: /m);
+
+            var events = result.trim().split('\n').map(JSON.parse),
+                failed = events.filter(function(event) { return event.event === 'error'; });
+
+            failed.length.should.equal(1);
+            failed[0].kind.should.equal('write');
+            events[events.length - 1].status.should.equal(1);
+            done();
+        });
+    });
+
     // it('accepts piped-in data with prefixed "-"', function(done) {
     //     const args = [
     //         '--data', 'json:-',
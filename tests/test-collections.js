@@ -0,0 +1,87 @@
+var should = require('should');
+var fs = require('fs');
+var path = require('path');
+var child = require('child_process');
+var Taft = require('..');
+var tmp = require('./lib/tmp');
+
+describe('Taft collections', function() {
+
+    afterEach(tmp.clean);
+
+    before(function() {
+        this.T = new Taft({silent: true, cwd: 'tests/blog'})
+            .collections('tests/blog/**/*.html');
+    });
+
+    it('lists published pages, newest first', function() {
+        var all = this.T.collections().all;
+        all.map(function(e) { return e.data.title; }).should.deepEqual(['Eye of newt', 'Cauldron care', 'Blog']);
+        all[0].url.should.equal('/2017/newts.html');
+        all[0].source.should.equal(path.join('tests', 'blog', '2017', 'newts.html'));
+    });
+
+    it('groups pages by tag and directory', function() {
+        var collections = this.T.collections();
+        Object.keys(collections.tags).sort().should.deepEqual(['potions', 'tools']);
+        collections.tags.potions.length.should.equal(2);
+        collections.tags.tools[0].data.title.should.equal('Cauldron care');
+        Object.keys(collections.dirs).sort().should.deepEqual(['.', '2016', '2017']);
+    });
+
+    it('are available to templates', function() {
+        this.T.build('tests/blog/index.html').toString().should.equal(
+            '<a href="/2017/newts.html">Eye of newt</a> (' + path.join('tests', 'blog', '2017', 'newts.html') + ')\n' +
+            '<a href="/2016/cauldron.html">Cauldron care</a> (' + path.join('tests', 'blog', '2016', 'cauldron.html') + ')\n' +
+            'Cauldron care\n'
+        );
+    });
+
+    it('make a page depend on the pages it lists', function() {
+        var deps = Array.from(this.T.dependencies('tests/blog/index.html'));
+        deps.should.containEql(path.resolve('tests/blog/2017/newts.html'));
+        Array.from(this.T.dependencies('tests/blog/2017/newts.html')).length.should.equal(1);
+    });
+
+    it('are gathered by the cli', function(done) {
+        var dir = tmp.dir();
+        var cmd = "bin/taft.js --silent -C tests/blog -D " + dir + " 'tests/blog/**/*.html'";
+
+        child.exec(cmd, function(e) {
+            if (e) throw e;
+            fs.readFileSync(path.join(dir, 'index.html'), 'utf8').should.containEql('<a href="/2016/cauldron.html">');
+            done();
+        });
+    });
+
+    it('are merged with the data once, until either changes', function() {
+        var T = new Taft({silent: true, data: {site: 'a'}}).collections('tests/blog/2016/*.html'),
+            globals = T._globals();
+
+        T._globals().should.equal(globals);
+        globals.site.should.equal('a');
+        globals.collections.all.length.should.equal(1);
+
+        T.data({site: 'b'});
+        T._globals().site.should.equal('b');
+
+        T.collections('tests/blog/2017/*.html');
+        T._globals().collections.all.length.should.equal(2);
+    });
+
+    it('drop pages that were deleted', function() {
+        var dir = tmp.dir(),
+            file = path.join(dir, 'gone.html'),
+            errs = [],
+            T = new Taft({silent: true});
+
+        T.err = function(msg) { errs.push(msg); };
+        fs.writeFileSync(file, '---\ntitle: Gone\n---\n');
+
+        T.collections(file).collections().all.length.should.equal(1);
+        fs.unlinkSync(file);
+        fs.rmdirSync(dir);
+        T.collections([]).collections().all.length.should.equal(0);
+        errs.should.be.empty();
+    });
+});
@@ -0,0 +1,76 @@
+var should = require('should');
+var fs = require('fs');
+var path = require('path');
+var child = require('child_process');
+var config = require('../lib/config');
+var tmp = require('./lib/tmp');
+
+const command = 'bin/taft.js';
+
+describe('Taft config', function() {
+
+    afterEach(tmp.clean);
+
+    it('finds a config file in a parent directory', function() {
+        var dir = tmp.dir();
+        fs.mkdirSync(path.join(dir, 'a', 'b'), {recursive: true});
+        fs.writeFileSync(path.join(dir, '.taftrc.json'), '{}');
+
+        config.find(path.join(dir, 'a', 'b')).should.equal(path.join(dir, '.taftrc.json'));
+        should.not.exist(config.find(path.join(dir, 'a', 'b'), path.join(dir, 'a')));
+    });
+
+    it('prefers taft.config.js', function() {
+        var dir = tmp.dir();
+        fs.writeFileSync(path.join(dir, '.taftrc.yaml'), 'ext: txt');
+        fs.writeFileSync(path.join(dir, 'taft.config.js'), 'module.exports = {ext: "xml"};');
+
+        var file = config.find(dir);
+        file.should.equal(path.join(dir, 'taft.config.js'));
+        config.read(file).ext.should.equal('xml');
+    });
+
+    it('reads paths relative to the config file', function() {
+        var settings = config.read(__dirname + '/config/.taftrc.yaml');
+        settings.layouts.should.equal(path.join('tests', 'layouts', 'default.handlebars'));
+        settings.partials.should.deepEqual([path.join('tests', 'partials', '*.handlebars')]);
+        settings.helpers.should.deepEqual([path.join('tests', 'helpers', 'helper.js')]);
+        settings.data.should.deepEqual([
+            '{"a": 2}',
+            'bees=bees',
+            path.join('tests', 'data', 'json.json'),
+            path.join('tests', 'data', 'yaml.yaml'),
+        ]);
+    });
+
+    it('leaves helper modules alone', function() {
+        var dir = tmp.dir();
+        fs.writeFileSync(path.join(dir, '.taftrc.json'), '{"helpers": ["handlebars-helper-br", "./h.js"]}');
+        config.read(path.join(dir, '.taftrc.json')).helpers[0].should.equal('handlebars-helper-br');
+    });
+
+    it('is read by the cli', function(done) {
+        var fixture = fs.readFileSync(__dirname + '/fixtures/index.html', {encoding: 'utf-8'});
+        var out = path.join(tmp.dir(), 'config.html');
+        var cmd = command + ' --config tests/config/.taftrc.yaml tests/pages/test.html -o ' + out;
+
+        child.exec(cmd, function(e) {
+            if (e) throw e;
+            fs.readFileSync(out, 'utf8').should.equal(fixture);
+            done();
+        });
+    });
+
+    it('lets command line options win', function(done) {
+        var dir = tmp.dir();
+        var cmd = command + ' --silent --config tests/config/.taftrc.yaml --layout tests/layouts/nested.handlebars' +
+            ' -H handlebars-helper-br -C tests -D ' + dir + ' tests/pages/br.html';
+
+        child.exec(cmd, function(e) {
+            if (e) throw e;
+            // ext comes from the config, the layout from the command line
+            fs.readFileSync(path.join(dir, 'pages', 'br.txt'), 'utf8').trim().should.equal('<br>\n\nOK, we\'re done');
+            done();
+        });
+    });
+});
@@ -0,0 +1,59 @@
+var should = require('should');
+var path = require('path');
+var Data = require('../lib/data');
+var Taft = require('..');
+
+describe('Data directories', function() {
+
+    var dir = __dirname + '/tree';
+
+    var parse = function(source, options) {
+        var result;
+        Data.parse(source, options || {}, function(err, data) {
+            if (err) throw err;
+            result = data;
+        });
+        return result;
+    };
+
+    it('reads a directory into nested objects', function() {
+        var data = parse(dir);
+
+        data.team.alice.should.deepEqual({name: 'Alice', role: 'witch'});
+        data.team.bob.role.should.equal('warlock');
+        data.clients.alice.name.should.equal('Alice Acme');
+        data.clients.acme.orders.should.deepEqual([{item: 'newt', price: '3'}]);
+        data.index.site.should.equal('Potions');
+        data.team.index.title.should.equal('The Coven');
+    });
+
+    it('skips files that aren\'t data', function() {
+        should(parse(dir).README).be.undefined();
+        Data.files(dir).should.not.containEql(dir + '/README.md');
+        Data.files(dir).should.containEql(path.join(dir, 'team/alice.yaml'));
+    });
+
+    it('merges index files into their directory', function() {
+        var data = parse(dir, {mergeIndex: true});
+
+        data.site.should.equal('Potions');
+        data.team.title.should.equal('The Coven');
+        data.team.alice.name.should.equal('Alice');
+        data.clients.acme.should.deepEqual({name: 'Acme', orders: [{item: 'newt', price: '3'}]});
+        should(data.index).be.undefined();
+    });
+
+    it('accepts a prefix', function() {
+        parse('people:' + dir + '/team').people.alice.name.should.equal('Alice');
+    });
+
+    it('is given to Taft as dataDir', function() {
+        var T = new Taft({silent: true, dataDir: dir, mergeIndex: true});
+        T.data().team.title.should.equal('The Coven');
+    });
+
+    it('is resolved relative to config files', function() {
+        Data.resolve('.', dir).should.equal(path.relative(process.cwd(), dir));
+        Data.resolve('people:team', dir).should.equal('people:' + path.relative(process.cwd(), dir + '/team'));
+    });
+});
@@ -0,0 +1,81 @@
+var should = require('should');
+var fs = require('fs');
+var path = require('path');
+var Taft = require('..');
+var Data = require('../lib/data');
+var tmp = require('./lib/tmp');
+
+// import() of ES modules needs Node 12 or later
+var esm = Number(process.versions.node.split('.')[0]) >= 12;
+
+describe('Taft JavaScript data', function() {
+
+    afterEach(tmp.clean);
+
+    it('reads objects and calls functions right away', function() {
+        var T = new Taft({silent: true, ext: 'txt', data: ['tests/scripts/site.js', 'tests/scripts/build.cjs']});
+
+        T.data().site.title.should.equal('Spooky Potions');
+        T.data().build.should.deepEqual({ext: 'txt', stamp: 'stamped'});
+    });
+
+    (esm ? it : it.skip)('waits for async functions and modules', function() {
+        var T = new Taft({silent: true, data: ['tests/scripts/later.mjs', {after: true}]});
+
+        should.not.exist(T.data().later);
+        T.data().after.should.be.true();
+
+        return T.ready().then(function(taft) {
+            taft.should.equal(T);
+            T.data().later.should.deepEqual({cauldrons: 3});
+            T.data().after.should.be.true();
+        });
+    });
+
+    (esm ? it : it.skip)('reads globs of scripts, with prefixes', function(done) {
+        Data.parse('scripts:tests/scripts/*.{js,mjs}', function(err, data) {
+            if (err) return done(err);
+            data.scripts.should.deepEqual([{cauldrons: 3}, {title: 'Spooky Potions'}]);
+            done();
+        });
+    });
+
+    it("doesn't run scripts matched by other globs", function(done) {
+        Data.parse('tests/scripts/*', function(err, data) {
+            if (err) return done(err);
+            data.should.deepEqual({build: {}, later: {}, site: {}});
+            done();
+        });
+    });
+
+    (esm ? it : it.skip)('reads ES modules again when they change', function() {
+        var dir = tmp.dir(),
+            file = path.join(dir, 'brew.mjs');
+
+        fs.writeFileSync(file, 'export default {potions: 1};');
+
+        return new Promise(function(resolve, reject) {
+            Data.parse(file, function(err, data) {
+                if (err) return reject(err);
+                data.brew.potions.should.equal(1);
+
+                fs.writeFileSync(file, 'export default {potions: 2};');
+                fs.utimesSync(file, new Date(), new Date(Date.now() + 2000));
+
+                Data.parse(file, function(err, data) {
+                    if (err) return reject(err);
+                    data.brew.potions.should.equal(2);
+                    resolve();
+                });
+            });
+        });
+    });
+
+    (esm ? it : it.skip)('builds after data has loaded', function() {
+        var T = new Taft({silent: true, data: 'tests/scripts/later.mjs'});
+
+        return T.buildAll([], {}).then(function() {
+            T.data().later.cauldrons.should.equal(3);
+        });
+    });
+});
@@ -1,6 +1,8 @@
 var should = require('should');
 var rewire = require('rewire');
+var child = require('child_process');
 var datalib = rewire("../lib/data.js");
+var tmp = require('./lib/tmp');
 
 var basename = datalib.__get__('basename');
 var getprefix = datalib.__get__('getprefix');
@@ -17,6 +19,8 @@ var catsAndDogs = {
 
 describe('data lib', function(){
 
+    afterEach(tmp.clean);
+
     it('has all the functions', function(){
         basename.should.be.a.Function;
         getprefix.should.be.a.Function;
@@ -97,6 +101,42 @@ describe('data lib', function(){
         glob.json.cat.should.equal('meow', 'glob reads json');
     });
 
+    it('readFile understands CSV and TSV', function(){
+        readFile(__dirname + '/csv/animals.csv').should.deepEqual([
+            {name: 'newt', legs: '4', notes: 'eye of, "newt"', magic: 'true'},
+            {name: 'toad', legs: '4', notes: '', magic: 'FALSE'},
+        ]);
+        readFile(__dirname + '/csv/bugs.tsv').should.deepEqual([{name: 'spider', legs: '8'}]);
+    });
+
+    it('readFile converts types in CSV when asked', function(){
+        readFile(__dirname + '/csv/animals.csv', {csvTypes: true})[1].should.deepEqual({name: 'toad', legs: 4, notes: '', magic: false});
+    });
+
+    it("parseObj doesn't guess that strings are CSV or TSV", function(){
+        (typeof parseObj('a,b\r\n1,2\r\n')).should.equal('undefined');
+        (typeof parseObj('a\tb\n1\t2')).should.equal('undefined');
+        (typeof parseObj('title: a, b\nname: c, d')).should.equal('undefined');
+    });
+
+    it('reads prefixed CSV from stdin', function(done){
+        var out = require('path').join(tmp.dir(), 'csv-stdin.html'),
+            cmd = "printf 'cat,dog\\nmeow,woof\\npurr,growl\\n' | bin/taft.js --no-config --silent --data cats:- -o " + out + ' tests/pages/prefix-list.html';
+
+        child.exec(cmd, function(e) {
+            if (e) return done(e);
+            require('fs').readFileSync(out, 'utf8').should.containEql('a cat says meow\na cat says purr');
+            done();
+        });
+    });
+
+    it('readGlob reads prefixed globs of CSV', function(){
+        var glob = readGlob('rows:' + __dirname + '/csv/*.{csv,tsv}');
+        glob.rows.length.should.equal(2);
+        glob.rows[0][0].name.should.equal('newt');
+        glob.rows[1][0].name.should.equal('spider');
+    });
+
     it('readGlob errors with empty globs', function() {
         should.throws(
             function(){ readGlob('nononono.nonono'); },
@@ -48,4 +48,11 @@ describe('Taft data', function(){
             .build("tests/pages/prefix-list.html");
         result.toString().should.equal(fixture);
     });
+
+    it('reads CSV files into lists of rows', function() {
+        var T = Taft({silent: true, data: 'tests/csv/animals.csv', csvTypes: true});
+        T.data().animals[0].name.should.equal('newt');
+        T.data().animals[0].legs.should.equal(4);
+        T.data().animals[0].magic.should.be.true();
+    });
 });
\ No newline at end of file
@@ -0,0 +1,45 @@
+var should = require('should');
+var fs = require('fs');
+var path = require('path');
+var child = require('child_process');
+var Taft = require('..');
+var tmp = require('./lib/tmp');
+
+describe('Taft pages from data', function() {
+
+    before(function() {
+        this.T = new Taft({silent: true, data: 'products:tests/products/*.yaml'});
+    });
+
+    afterEach(tmp.clean);
+
+    it('builds a page for each item', function() {
+        var pages = this.T.build(__dirname + '/pages/each.html');
+        pages.map(String).should.deepEqual(['0: Anvil\n', '1: Rocket Skates\n']);
+        pages.map(function(p) { return p.path; }).should.deepEqual(['products/anvil.html', 'products/rocket-skates.html']);
+        pages[1].url.should.equal('/products/rocket-skates.html');
+    });
+
+    it('calls the item "item" without an alias', function() {
+        var dir = tmp.dir();
+        var file = path.join(dir, 'product.hbs');
+        fs.writeFileSync(file, '---\neach: products\n---\n{{item.slug}}');
+
+        var T = new Taft({silent: true, data: 'products:tests/products/*.yaml', cwd: dir});
+        var pages = T.build(file);
+        pages.map(String).should.deepEqual(['anvil', 'rocket-skates']);
+        pages.map(function(p) { return p.path; }).should.deepEqual(['product/1.html', 'product/2.html']);
+    });
+
+    it('saves each page from the cli', function(done) {
+        var dir = tmp.dir();
+        var cmd = "bin/taft.js --silent --data 'products:tests/products/*.yaml' -D " + dir + ' tests/pages/each.html';
+
+        child.exec(cmd, function(e) {
+            if (e) throw e;
+            fs.readFileSync(path.join(dir, 'products', 'anvil.html'), 'utf8').should.equal('0: Anvil\n');
+            fs.readFileSync(path.join(dir, 'products', 'rocket-skates.html'), 'utf8').should.equal('1: Rocket Skates\n');
+            done();
+        });
+    });
+});
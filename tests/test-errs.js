@@ -1,5 +1,10 @@
 var should = require('should');
+var fs = require('fs');
+var path = require('path');
+var child = require('child_process');
 var Taft = require('..');
+var errors = require('../lib/errors');
+var tmp = require('./lib/tmp');
 
 describe('Taft errors', function(){
     before(function(){
@@ -8,8 +13,11 @@ describe('Taft errors', function(){
             layouts: [__dirname + '/layouts/default.handlebars', __dirname + '/partials/partial.handlebars'],
             partials: [__dirname + '/partials/partial.handlebars'],
         });
+        this.T.err = function() {};
     });
 
+    afterEach(tmp.clean);
+
     it('empty result when duplicate keys exist', function (done) {
         var build = this.T.build(__dirname + '/dup/index.html')
         build.toString().should.equal('');
@@ -28,4 +36,81 @@ describe('Taft errors', function(){
 
         done();
     });
+
+    it('collects errors with their file, line and column', function () {
+        var file = __dirname + '/dup/index.html';
+        var build = this.T.build(file);
+
+        build.error.should.be.instanceOf(errors.TemplateError);
+        build.error.source.should.equal(file);
+        build.error.file.should.equal(file);
+        build.error.kind.should.equal('page');
+        build.error.line.should.equal(3);
+        build.error.column.should.equal(1);
+        build.error.message.should.equal('duplicated mapping key');
+
+        this.T.errors.should.containEql(build.error);
+    });
+
+    it('locates Handlebars parse errors after front matter', function () {
+        var error = this.T.build(__dirname + '/errors/parse.html').error;
+
+        error.line.should.equal(5);
+        error.column.should.equal(12);
+        error.message.should.startWith('Parse error');
+        error.frame.should.containEql('> 5 | {{#if title}\n');
+        error.frame.should.containEql('|            ^');
+    });
+
+    it('blames partials and layouts', function () {
+        var T = new Taft({
+            silent: true,
+            layouts: __dirname + '/errors/broken.handlebars',
+            partials: __dirname + '/errors/broken.handlebars',
+        });
+        T.err = function() {};
+
+        var error = T.build(__dirname + '/errors/partial.html').error;
+        error.kind.should.equal('partial');
+        error.file.should.equal(__dirname + '/errors/broken.handlebars');
+        error.source.should.equal(__dirname + '/errors/partial.html');
+        error.line.should.equal(2);
+        error.column.should.equal(16);
+
+        error = T.build(__dirname + '/errors/layout.html').error;
+        error.kind.should.equal('layout');
+        error.line.should.equal(2);
+
+        T.errors.length.should.equal(2);
+    });
+
+    it('formats errors as a code frame', function () {
+        var error = this.T.build(__dirname + '/errors/parse.html').error;
+
+        errors.format(error).split('\n').slice(0, 2).should.eql([
+            'error building ' + path.join('tests', 'errors', 'parse.html'),
+            'page ' + path.join('tests', 'errors', 'parse.html') + ':5:12: ' + error.message,
+        ]);
+
+        errors.frame('a\nb\nc', 2, 1).should.equal('  1 | a\n> 2 | b\n    | ^\n  3 | c');
+    });
+
+    it('exits with an error from the command line, unless told to keep going', function (done) {
+        this.timeout(5000);
+
+        var dir = tmp.dir(),
+            cmd = 'bin/taft.js --no-config -s -C tests/errors -D ' + dir + ' tests/errors/parse.html';
+
+        child.exec(cmd, function (err, stdout, stderr) {
+            err.code.should.equal(1);
+            stderr.should.containEql('> 5 | {{#if title}');
+            fs.existsSync(path.join(dir, 'parse.html')).should.be.false();
+
+            child.exec(cmd + ' --keep-going', function (err) {
+                should.not.exist(err);
+                fs.readFileSync(path.join(dir, 'parse.html'), 'utf8').should.equal('');
+                done();
+            });
+        });
+    });
 });
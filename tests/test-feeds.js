@@ -0,0 +1,151 @@
+var should = require('should');
+var fs = require('fs');
+var path = require('path');
+var child = require('child_process');
+var feeds = require('../lib/feeds');
+var Content = require('../lib/content');
+var tmp = require('./lib/tmp');
+
+describe('Feeds', function() {
+
+    afterEach(tmp.clean);
+
+    var entries = [
+        {url: '/', title: 'Home', sitemap: true, feed: true},
+        {url: '/newts/', title: 'Eye of newt', summary: 'Where & how', date: new Date('2017-03-01'), updated: new Date('2017-04-01'), sitemap: true, feed: true},
+        {url: '/cauldron.html', title: 'Cauldron care', date: new Date('2016-10-31'), updated: new Date('2016-10-31'), sitemap: true, feed: true},
+        {url: '/secret.html', title: 'Secret', date: new Date('2018-01-01'), updated: new Date('2018-01-01'), sitemap: false, feed: false},
+        {url: '/site.css', sitemap: true, feed: true},
+    ];
+
+    var options = {url: 'https://example.com/potions/', title: 'Potions'};
+
+    it('describes pages', function() {
+        var content = new Content('', {page: {title: 'Newts', date: '2017-03-01', sitemap: false}});
+        content.url = '/newts/';
+
+        var entry = feeds.entry(content);
+        entry.url.should.equal('/newts/');
+        entry.date.toISOString().should.equal('2017-03-01T00:00:00.000Z');
+        entry.updated.getTime().should.equal(entry.date.getTime());
+        entry.sitemap.should.be.false();
+        entry.feed.should.be.true();
+    });
+
+    it('joins URLs', function() {
+        feeds.absolute('https://example.com/potions/', '/newts/').should.equal('https://example.com/potions/newts/');
+        feeds.absolute('https://example.com', 'newts.html').should.equal('https://example.com/newts.html');
+    });
+
+    it('lists HTML pages in a sitemap', function() {
+        var xml = feeds.sitemap(entries, options);
+
+        xml.should.containEql('<loc>https://example.com/potions/</loc>');
+        xml.should.containEql('<loc>https://example.com/potions/newts/</loc>\n    <lastmod>2017-04-01</lastmod>');
+        xml.should.containEql('cauldron.html');
+        xml.should.not.containEql('secret');
+        xml.should.not.containEql('site.css');
+    });
+
+    it('makes an Atom feed of dated pages, newest first', function() {
+        var xml = feeds.atom(entries, options);
+
+        xml.should.containEql('<title>Potions</title>');
+        xml.should.containEql('<updated>2017-04-01T00:00:00.000Z</updated>\n  <author><name>Potions</name></author>\n  <entry>');
+        xml.should.containEql('<summary>Where &amp; how</summary>');
+        xml.indexOf('Eye of newt').should.be.below(xml.indexOf('Cauldron care'));
+        xml.should.not.containEql('Home');
+        xml.should.not.containEql('Secret');
+    });
+
+    it('gives Atom feeds and their entries authors', function() {
+        var withAuthor = entries.map(function(e) { return e.title === 'Cauldron care' ? Object.assign({author: 'Hecate & co'}, e) : e; });
+
+        feeds.atom(entries, {url: 'https://example.com/'}).should.containEql('<author><name>https://example.com/</name></author>');
+
+        var xml = feeds.atom(withAuthor, Object.assign({author: 'The Witches'}, options));
+        xml.should.containEql('  <author><name>The Witches</name></author>\n  <entry>');
+        xml.should.containEql('    <author><name>Hecate &amp; co</name></author>\n');
+        xml.match(/<author>/g).length.should.equal(2);
+
+        feeds.entry({url: '/', data: {author: 'Hecate'}}).author.should.equal('Hecate');
+    });
+
+    it('makes an RSS feed', function() {
+        var xml = feeds.rss(entries, options);
+
+        xml.should.containEql('<rss version="2.0">');
+        xml.should.containEql('<pubDate>Wed, 01 Mar 2017 00:00:00 GMT</pubDate>');
+        xml.should.containEql('<description>Where &amp; how</description>');
+        xml.should.not.containEql('Secret');
+    });
+
+    it('are written by the command line tool', function(done) {
+        var dest = tmp.dir('feeds'),
+            args = ['-s', '-C', 'tests/blog', '-D', dest, '--site-url', 'https://example.com', '--sitemap', '--feed', 'feed.xml', '--feed-author', 'Hecate', "'tests/blog/**/*.html'"];
+
+        child.exec('bin/taft.js ' + args.join(' '), function(e) {
+            if (e) throw e;
+
+            var sitemap = fs.readFileSync(path.join(dest, 'sitemap.xml'), 'utf8'),
+                feed = fs.readFileSync(path.join(dest, 'feed.xml'), 'utf8');
+
+            sitemap.should.containEql('<loc>https://example.com/2017/newts.html</loc>');
+            sitemap.should.containEql('<loc>https://example.com/</loc>');
+            // published: false
+            sitemap.should.not.containEql('draft');
+            feed.should.containEql('<title>Cauldron care</title>');
+            feed.should.containEql('<author><name>Hecate</name></author>');
+            feed.should.not.containEql('Secret spells');
+            done();
+        });
+    });
+
+    it('are written again when watch mode rebuilds a page', function(done) {
+        this.timeout(10000);
+
+        var dir = tmp.dir('feeds'),
+            dest = path.join(dir, 'build'),
+            page = path.join(dir, 'post.html'),
+            feed = path.join(dest, 'feed.xml');
+
+        fs.writeFileSync(page, '---\ntitle: Newts\ndate: 2017-03-01\n---\nnewts');
+
+        var watch = child.spawn(process.execPath, ['bin/taft.js', '-s', '--watch', '-C', dir, '-D', dest, '--site-url', 'https://example.com', '--feed', 'feed.xml', page]);
+
+        var finish = function(err) {
+            clearInterval(poll);
+            clearTimeout(timeout);
+            // the directory is removed after the watcher has stopped writing to it
+            if (watch.exitCode !== null) return done(err);
+            watch.once('exit', function() { done(err); });
+            watch.kill();
+        };
+
+        // wait for the first build, then change the page, then wait for the feed to change
+        var changed = false;
+        var poll = setInterval(function() {
+            var content = fs.existsSync(feed) ? fs.readFileSync(feed, 'utf8') : '';
+
+            if (!changed && content) {
+                changed = true;
+                // the watcher ignores edits within the same millisecond
+                setTimeout(function() {
+                    fs.writeFileSync(page, '---\ntitle: Toads\ndate: 2017-03-01\n---\ntoads');
+                }, 50);
+            } else if (content.indexOf('Toads') > -1) {
+                try {
+                    content.should.not.containEql('Newts');
+                    content.match(/<entry>/g).length.should.equal(1);
+                    finish();
+                } catch (e) {
+                    finish(e);
+                }
+            }
+        }, 100);
+
+        var timeout = setTimeout(function() {
+            finish(new Error('the feed was not written again'));
+        }, 8000);
+    });
+});
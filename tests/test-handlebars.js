@@ -0,0 +1,35 @@
+var should = require('should');
+var Handlebars = require('handlebars');
+var Taft = require('..');
+
+describe('Taft Handlebars environments', function() {
+
+    it('keeps helpers and partials to each instance', function() {
+        var A = new Taft({silent: true, helpers: {shout: function(s) { return s.toUpperCase(); }}, partials: {card: 'card'}});
+        var B = new Taft({silent: true});
+
+        A.helpers().should.containEql('shout');
+        A.Handlebars.partials.should.have.property('card');
+
+        B.helpers().should.not.containEql('shout');
+        B.Handlebars.partials.should.not.have.property('card');
+        Handlebars.helpers.should.not.have.property('shout');
+    });
+
+    it('shares an environment when asked', function() {
+        var env = Handlebars.create();
+        var A = new Taft({silent: true, handlebars: env, helpers: {whisper: function(s) { return s.toLowerCase(); }}});
+        var B = new Taft({silent: true, handlebars: env});
+
+        A.Handlebars.should.equal(B.Handlebars);
+        B.helpers().should.containEql('whisper');
+    });
+
+    it('registers the body partial in its own environment', function() {
+        var T = new Taft({silent: true, layouts: __dirname + '/layouts/nested.handlebars'});
+
+        T.build(__dirname + '/pages/nested.html');
+        Handlebars.partials.should.not.have.property('body');
+        T.Handlebars.partials.should.not.have.property('body');
+    });
+});
@@ -0,0 +1,81 @@
+var should = require('should');
+var fs = require('fs');
+var path = require('path');
+var child = require('child_process');
+var Taft = require('..');
+var jobs = require('../lib/jobs');
+var tmp = require('./lib/tmp');
+
+// worker threads need Node 11.7 or later. Without them, the command line builds on one thread.
+var threads = (function() {
+    try {
+        return require('worker_threads');
+    } catch (e) {
+        return undefined;
+    }
+})();
+
+describe('Taft jobs', function() {
+
+    afterEach(tmp.clean);
+
+    (threads ? it : it.skip)('builds on workers and hands back results in order', function() {
+        this.timeout(10000);
+
+        var options = {silent: true, helpers: 'handlebars-helper-br', data: {a: 'a'}, cwd: __dirname};
+        var taft = new Taft(options);
+        var files = [__dirname + '/pages/br.html', __dirname + '/pages/pages.html', __dirname + '/errors/parse.html', __dirname + '/pages/br.html'];
+        var settings = {cwd: __dirname, destDir: 'build', ext: 'html'};
+        var seen = [];
+
+        taft.collections(files);
+
+        return jobs.build(taft, files, settings, {jobs: 2, taft: options}, function(result) {
+            seen.push(result);
+        }).then(function() {
+            seen.map(function(r) { return r.file; }).should.eql(files);
+            seen[0].pages[0].output.should.equal(path.join('build', 'pages', 'br.html'));
+            seen[0].pages[0].content.trim().should.equal('<br>');
+            seen[2].pages[0].error.kind.should.equal('page');
+            seen[2].pages[0].error.line.should.equal(5);
+            seen[2].log.map(function(l) { return l[0]; }).should.containEql('err');
+        });
+    });
+
+    it('errors when pages on different workers have the same output', function(done) {
+        this.timeout(10000);
+
+        var dir = tmp.dir(),
+            cmd = 'bin/taft.js --no-config -H handlebars-helper-br -C tests -P same.html --jobs 2 -D ' + dir +
+                ' tests/pages/br.html tests/pages/pages.html';
+
+        child.exec(cmd, function(e, result, error) {
+            should.exist(e);
+            e.code.should.equal(1);
+            error.should.containEql('same.html would be overwritten by ' + path.resolve('tests/pages/br.html'));
+            fs.readdirSync(dir).should.eql(['.taft-manifest.json', 'same.html']);
+            done();
+        });
+    });
+
+    it('writes the same files as a build on one thread', function(done) {
+        this.timeout(10000);
+
+        var dir = tmp.dir(),
+            cmd = 'bin/taft.js --no-config -H handlebars-helper-br -d tests/data/yaml.yaml -t "tests/layouts/*" -p "tests/partials/*" -C tests ' +
+                'tests/pages/br.html tests/pages/foo.html tests/pages/nested.html tests/pages/paginate.html -D ';
+
+        child.exec(cmd + path.join(dir, 'one'), function(e, one) {
+            if (e) throw e;
+            child.exec(cmd + path.join(dir, 'many') + ' --jobs 3', function(e, many) {
+                if (e) throw e;
+                many.split(path.join(dir, 'many')).join('').should.equal(one.split(path.join(dir, 'one')).join(''));
+                ['br.html', 'foo.html', 'nested.html', 'paginate.html', path.join('paginate', 'page', '2.html')].forEach(function(f) {
+                    fs.readFileSync(path.join(dir, 'many', 'pages', f), 'utf8')
+                        .should.equal(fs.readFileSync(path.join(dir, 'one', 'pages', f), 'utf8'));
+                });
+                done();
+            });
+        });
+    });
+});
@@ -0,0 +1,43 @@
+var should = require('should');
+var Taft = require('..');
+var markdown = require('../lib/markdown');
+
+describe('Taft markdown', function() {
+
+    it('renders Markdown after Handlebars', function() {
+        var T = new Taft({silent: true});
+        var result = T.build(__dirname + '/pages/markdown.md', {potions: ['newt', 'toad']}).toString();
+
+        result.should.containEql('<h1 id="potions">Potions</h1>');
+        result.should.containEql('<li><strong>newt</strong></li>');
+        result.should.containEql('<h2 id="potions-1">Potions</h2>');
+        result.should.containEql('“Double” – trouble');
+        result.should.containEql('<code class="language-js">');
+    });
+
+    it('uses a layout after rendering', function() {
+        var T = new Taft({silent: true, layouts: __dirname + '/layouts/default.handlebars', partials: __dirname + '/partials/partial.handlebars', defaultLayout: 'default'});
+        var result = T.build(__dirname + '/pages/markdown.md', {potions: []}).toString();
+        result.should.startWith('<!DOCTYPE html>');
+        result.should.containEql('<h1 id="potions">Potions</h1>');
+    });
+
+    it('takes options', function() {
+        var T = new Taft({silent: true, markdown: {headingIds: false, typographer: false, langPrefix: 'lang-'}});
+        var result = T.build(__dirname + '/pages/markdown.md', {potions: []}).toString();
+
+        result.should.containEql('<h1>Potions</h1>');
+        result.should.containEql('&quot;Double&quot; -- trouble');
+        result.should.containEql('<code class="lang-js">');
+    });
+
+    it('follows the format key', function() {
+        markdown.isMarkdown('page.html', {format: 'markdown'}).should.be.true();
+        markdown.isMarkdown('page.markdown', {}).should.be.true();
+        markdown.isMarkdown('page.md', {format: 'html'}).should.be.false();
+
+        var T = new Taft({silent: true});
+        T.build(__dirname + '/pages/not-markdown.md', {title: 'x'}).toString().should.equal('# x\n');
+    });
+
+});
@@ -0,0 +1,101 @@
+var should = require('should');
+var mergeData = require('../lib/merge-data');
+var Taft = require('..');
+
+describe('merge-data', function() {
+
+    var a = function() { return {site: {title: 'Potions', nav: ['home']}, count: 1}; };
+    var b = function() { return {site: {tagline: 'Bubbling', nav: ['shop']}, count: 2}; };
+
+    it('replaces top-level keys by default', function() {
+        mergeData(a(), b()).should.deepEqual(b());
+    });
+
+    it('merges objects deeply', function() {
+        mergeData(a(), b(), {strategy: 'deep'}).should.deepEqual({
+            site: {title: 'Potions', tagline: 'Bubbling', nav: ['shop']},
+            count: 2
+        });
+    });
+
+    it('joins arrays', function() {
+        mergeData(a(), b(), {strategy: 'concat'}).site.nav.should.deepEqual(['home', 'shop']);
+    });
+
+    it('leaves the source alone', function() {
+        var target = {},
+            source = a();
+        mergeData(target, source, {strategy: 'deep'});
+        mergeData(target, b(), {strategy: 'concat'});
+        source.should.deepEqual(a());
+    });
+
+    it('reports collisions', function() {
+        var keys = [];
+        var collision = function(key) { keys.push(key); };
+
+        mergeData(a(), b(), {collision: collision});
+        keys.should.deepEqual(['site', 'count']);
+
+        keys = [];
+        mergeData(a(), b(), {strategy: 'deep', collision: collision});
+        keys.should.deepEqual(['site.nav', 'count']);
+
+        keys = [];
+        mergeData(a(), b(), {strategy: 'concat', collision: collision});
+        keys.should.deepEqual(['count']);
+    });
+
+    it('rejects unknown strategies', function() {
+        (function() { mergeData({}, {}, {strategy: 'blend'}); }).should.throw(/unknown merge strategy/);
+    });
+});
+
+describe('Taft merging data', function() {
+
+    var configs = [__dirname + '/merge/a/config.yaml', __dirname + '/merge/b/config.yaml'];
+
+    it('uses the merge strategy', function() {
+        new Taft({silent: true, data: configs}).data().config.should.deepEqual({tagline: 'Bubbling', nav: ['shop']});
+
+        new Taft({silent: true, data: configs, mergeStrategy: 'concat'}).data().config.should.deepEqual({
+            title: 'Potions', tagline: 'Bubbling', nav: ['home', 'shop']
+        });
+    });
+
+    it('merges front matter over data the same way', function() {
+        var page = __dirname + '/merge/page.html';
+
+        new Taft({silent: true, data: configs}).build(page).toString().should.equal('Elixirs ()\n');
+        new Taft({silent: true, data: configs, mergeStrategy: 'deep'}).build(page).toString().should.equal('Elixirs (Bubbling)\n');
+    });
+
+    it('warns about collisions', function() {
+        var T = new Taft({mergeStrategy: 'deep', collisions: 'warn'}),
+            messages = [];
+
+        T.err = function(msg) { messages.push(msg); };
+        T.data(configs);
+        // only once, even if the data is merged again
+        T._mergeData();
+
+        messages.should.deepEqual(['warning: data key config.nav in ' + configs[1] + ' overwrites an earlier value']);
+        T.errors.should.be.empty();
+    });
+
+    it('records collisions as errors', function() {
+        var T = new Taft({silent: true, collisions: 'error'});
+        T.err = function() {};
+        T.data(__dirname + '/merge/*/config.yaml');
+        T.errors.length.should.equal(1);
+        T.errors[0].file.should.endWith('merge/b/config.yaml');
+    });
+
+    it('namespaces globs by path', function() {
+        var data = new Taft({silent: true, data: __dirname + '/merge/**/menu.yaml', namespace: 'path', collisions: 'error'}).data();
+
+        data.en.menu.items.should.deepEqual(['home', 'about']);
+        data.fr.menu.title.should.equal('Carte');
+        data.more.en.menu.items.should.deepEqual(['shop']);
+    });
+});
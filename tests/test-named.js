@@ -0,0 +1,49 @@
+var should = require('should');
+var Taft = require('..');
+
+describe('Taft layout and partial names', function() {
+
+    var dir = __dirname + '/named';
+
+    it('reports layouts and partials with the same name', function() {
+        var T = new Taft({silent: true});
+        T.err = function() {};
+        T.layouts(dir + '/layouts/**/*.html').partials(dir + '/partials/**/*.html');
+
+        T.errors.map(function(e) { return e.message; }).should.deepEqual([
+            'layout name post is already used by ' + dir + '/layouts/blog/post.html',
+            'partial name card is already used by ' + dir + '/partials/blog/card.html',
+        ]);
+        T.errors[0].kind.should.equal('layout');
+        T.errors[0].file.should.equal(dir + '/layouts/guide/post.html');
+        T.errors[1].kind.should.equal('partial');
+    });
+
+    it("doesn't mind registering the same file twice", function() {
+        var T = new Taft({silent: true, layouts: dir + '/layouts/base.html'});
+        T.layouts(dir + '/layouts/base.html');
+        T.errors.should.be.empty();
+    });
+
+    it('names layouts and partials by their path in a directory', function() {
+        var T = new Taft({silent: true, layoutDir: dir + '/layouts', partialDir: dir + '/partials'});
+
+        Array.from(T.layouts()).sort().should.deepEqual(['base', 'blog/post', 'guide/post']);
+        T.partials().sort().should.deepEqual(['blog/card', 'guide/card']);
+        T.errors.should.be.empty();
+    });
+
+    it('builds with named layouts and partials', function() {
+        var T = new Taft({silent: true, layoutDir: dir + '/layouts', partialDir: dir + '/partials'}),
+            result = T.build(dir + '/page.html').toString().replace(/\s+/g, '');
+
+        result.should.equal('<html><divclass="guide"><b>Brewing</b><i>Brewing</i></div></html>');
+        T.dependencies(dir + '/page.html').should.have.property('size', 5);
+    });
+
+    it('accepts a default layout by path', function() {
+        var T = new Taft({silent: true, layoutDir: dir + '/layouts', defaultLayout: 'blog/post'});
+        T.defaultLayout().should.equal('blog/post');
+        T.defaultLayout('guide/post.html').defaultLayout().should.equal('guide/post');
+    });
+});
@@ -0,0 +1,98 @@
+var should = require('should');
+var fs = require('fs');
+var path = require('path');
+var child = require('child_process');
+var Output = require('../lib/output');
+var tmp = require('./lib/tmp');
+
+describe('Output', function() {
+
+    var dest;
+
+    beforeEach(function() {
+        dest = tmp.dir('output');
+    });
+
+    afterEach(tmp.clean);
+
+    it('only writes files that have changed', function() {
+        var file = path.join(dest, 'a/b.html');
+
+        new Output(dest).write(file, 'newt').should.be.true();
+        fs.readFileSync(file, 'utf8').should.equal('newt');
+
+        new Output(dest).write(file, 'newt').should.be.false();
+        new Output(dest).write(file, 'toad').should.be.true();
+        fs.readFileSync(file, 'utf8').should.equal('toad');
+    });
+
+    it('knows which files are in the destination', function() {
+        var output = new Output(dest);
+        output.owns(path.join(dest, 'a.html')).should.be.true();
+        output.owns(dest).should.be.false();
+        output.owns('/dev/stdout').should.be.false();
+    });
+
+    it('finds and cleans orphans from earlier builds', function() {
+        var first = new Output(dest);
+        first.write(path.join(dest, 'a.html'), 'a');
+        first.write(path.join(dest, 'old/b.html'), 'b');
+        first.save();
+
+        var second = new Output(dest);
+        second.write(path.join(dest, 'a.html'), 'a');
+        second.orphans().should.deepEqual([path.join(dest, 'old/b.html')]);
+
+        // orphans are remembered until they're cleaned
+        second.save();
+        new Output(dest).previous.should.deepEqual(['a.html', 'old/b.html']);
+
+        var third = new Output(dest);
+        third.keep(path.join(dest, 'a.html'));
+        third.clean().should.deepEqual([path.join(dest, 'old/b.html')]);
+        fs.existsSync(path.join(dest, 'old')).should.be.false();
+        third.save();
+
+        new Output(dest).previous.should.deepEqual(['a.html']);
+    });
+
+    it("doesn't clean files outside the destination", function() {
+        var inner = path.join(dest, 'inner'),
+            outside = path.join(dest, 'x.html');
+
+        fs.mkdirSync(inner);
+        fs.writeFileSync(outside, 'x');
+        fs.writeFileSync(path.join(inner, '.taft-manifest.json'), JSON.stringify({files: ['../x.html', outside, 7]}));
+
+        var output = new Output(inner);
+        output.orphans().should.deepEqual([]);
+        output.clean().should.deepEqual([]);
+        fs.existsSync(outside).should.be.true();
+    });
+
+    it('is used by the command line tool', function(done) {
+        var src = tmp.dir('src'),
+            taft = function(args, callback) {
+                child.exec('bin/taft.js -C ' + src + ' -D ' + dest + ' ' + args + ' ' + src + '/*.html', callback);
+            };
+
+        fs.writeFileSync(src + '/a.html', 'a');
+        fs.writeFileSync(src + '/b.html', 'b');
+
+        taft('', function(e, stdout) {
+            if (e) throw e;
+            stdout.split('\n').filter(Boolean).length.should.equal(2);
+
+            fs.renameSync(src + '/b.html', src + '/c.html');
+
+            taft('--clean', function(e, stdout, stderr) {
+                if (e) throw e;
+                // a.html hasn't changed
+                stdout.should.equal(path.join(dest, 'c.html') + '\n');
+                stderr.should.containEql('deleted ' + path.join(dest, 'b.html'));
+                fs.existsSync(path.join(dest, 'b.html')).should.be.false();
+                done();
+            });
+        });
+    });
+});
@@ -0,0 +1,85 @@
+var should = require('should');
+var fs = require('fs');
+var path = require('path');
+var child = require('child_process');
+var Taft = require('..');
+var paginate = require('../lib/paginate');
+var tmp = require('./lib/tmp');
+
+describe('Taft pagination', function() {
+
+    afterEach(tmp.clean);
+
+    it('splits a list into pages', function() {
+        var pages = paginate([1, 2, 3], 2, function(n) { return 'p/' + n + '.html'; });
+        pages.length.should.equal(2);
+        pages[0].items.should.deepEqual([1, 2]);
+        pages[1].items.should.deepEqual([3]);
+        pages[1].should.containDeep({page: 2, pages: 2, total: 3, url: '/p/2.html', first: '/p/1.html', previous: '/p/1.html'});
+        should.not.exist(pages[1].next);
+    });
+
+    it('has one empty page for an empty list', function() {
+        var pages = paginate([], 10, function(n) { return n + '.html'; });
+        pages.length.should.equal(1);
+        pages[0].items.should.deepEqual([]);
+    });
+
+    it('looks up dotted keys', function() {
+        paginate.lookup({a: {b: [1]}}, 'a.b').should.deepEqual([1]);
+        should.not.exist(paginate.lookup({a: 1}, 'b.c'));
+    });
+
+    it('builds a page for each part of the list', function() {
+        var T = new Taft({silent: true, cwd: __dirname});
+        var pages = T.build(__dirname + '/pages/paginate.html');
+
+        pages.length.should.equal(3);
+        pages.map(function(p) { return p.path; })
+            .should.deepEqual(['pages/paginate.html', 'pages/paginate/page/2.html', 'pages/paginate/page/3.html']);
+
+        pages[0].toString().should.equal('1/3: one two\nprevious:\nnext: /pages/paginate/page/2.html\n');
+        pages[2].toString().should.equal('3/3: five\nprevious: /pages/paginate/page/2.html\nnext:\n');
+        pages[1].source.should.equal(__dirname + '/pages/paginate.html');
+    });
+
+    it('uses the permalink and global data', function() {
+        var T = new Taft({silent: true});
+        T.data({site: {cats: [{cat: 'meow'}, {cat: 'miaou'}]}});
+
+        var pages = T.build(__dirname + '/pages/paginate-permalink.html');
+        pages.map(String).should.deepEqual(['meow /cats/1.txt\n', 'miaou /cats/2.txt\n']);
+    });
+
+    it('complains when the data is not a list', function() {
+        var T = new Taft({silent: true});
+        T.err = function(msg) { this.message = msg; };
+        T.data({site: {cats: 'meow'}}).build(__dirname + '/pages/paginate-permalink.html');
+        T.message.should.containEql('site.cats is not a list');
+    });
+
+    it('saves each page from the cli', function(done) {
+        var dir = tmp.dir();
+        var cmd = 'bin/taft.js --silent -C tests -D ' + dir + ' tests/pages/paginate.html';
+
+        child.exec(cmd, function(e) {
+            if (e) throw e;
+            fs.readFileSync(path.join(dir, 'pages', 'paginate', 'page', '3.html'), 'utf8').should.startWith('3/3: five');
+            fs.readFileSync(path.join(dir, 'pages', 'paginate.html'), 'utf8').should.startWith('1/3: one two');
+            done();
+        });
+    });
+
+    it('names the later pages after --output', function(done) {
+        var dir = tmp.dir();
+        var cmd = 'bin/taft.js --silent --no-config -o ' + path.join(dir, 'out.html') + ' tests/pages/paginate.html';
+
+        child.exec(cmd, function(e) {
+            if (e) throw e;
+            fs.readFileSync(path.join(dir, 'out.html'), 'utf8').should.startWith('1/3: one two');
+            fs.readFileSync(path.join(dir, 'out', 'page', '3.html'), 'utf8').should.startWith('3/3: five');
+            fs.existsSync(path.join(dir, 'tests')).should.be.false();
+            done();
+        });
+    });
+});
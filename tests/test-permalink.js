@@ -0,0 +1,94 @@
+var should = require('should');
+var fs = require('fs');
+var path = require('path');
+var child = require('child_process');
+var Taft = require('..');
+var permalink = require('../lib/permalink');
+var tmp = require('./lib/tmp');
+
+describe('Taft permalinks', function() {
+
+    afterEach(tmp.clean);
+
+    it('slugifies', function() {
+        permalink.slugify('Spooky Potions!').should.equal('spooky-potions');
+        permalink.slugify('Crème brûlée').should.equal('crème-brûlée');
+    });
+
+    it('expands tokens', function() {
+        var vars = permalink.tokens(path.join('blog', 'post.hbs'), {title: 'Hello World', date: '2016-01-02', tag: 'News'}, 'html');
+        permalink.expand(':dir/:date/:slug/:tag/:basename.:ext', vars).should.equal('blog/2016-01-02/hello-world/news/post.html');
+        permalink.expand(':nope/x', vars).should.equal(':nope/x');
+    });
+
+    it('makes pretty urls', function() {
+        permalink.normalize('/about/', 'html').should.equal('about/index.html');
+        permalink.normalize('about', 'html').should.equal('about.html');
+        permalink.normalize('//a//b.txt', 'html').should.equal('a/b.txt');
+        permalink.url('about/index.html').should.equal('/about/');
+        permalink.url('index.html').should.equal('/');
+        permalink.url('about.html').should.equal('/about.html');
+    });
+
+    it('uses the permalink front matter', function() {
+        var T = new Taft({silent: true});
+        var result = T.build(__dirname + '/pages/permalink.html', {TAFT: {version: 1}});
+        result.path.should.equal('blog/2016/10/spooky-potions/index.html');
+        result.url.should.equal('/blog/2016/10/spooky-potions/');
+        result.toString().should.equal('/blog/2016/10/spooky-potions/ /blog/2016/10/spooky-potions/\n');
+    });
+
+    it('uses a default permalink', function() {
+        var T = new Taft({silent: true, cwd: __dirname, permalink: ':dir/:basename/', helpers: 'handlebars-helper-br'});
+        T.build(__dirname + '/pages/br.html').path.should.equal('pages/br/index.html');
+    });
+
+    it("doesn't escape Handlebars in permalinks", function() {
+        var T = new Taft({silent: true, cwd: __dirname, permalink: '{{category}}/:basename/'});
+        T.build(__dirname + '/pages/foo.html', {category: "Q&A's"}).path.should.equal("Q&A's/foo/index.html");
+    });
+
+    it("doesn't save pages outside the destination", function() {
+        var T = new Taft({silent: true, cwd: __dirname, permalink: '{{slug}}/x'});
+        T.err = function() {};
+
+        var error = T.build(__dirname + '/pages/foo.html', {slug: '../..'}).error;
+        error.message.should.equal("permalinks can't go up a directory: ../../x.html");
+        error.kind.should.equal('page');
+        error.source.should.equal(__dirname + '/pages/foo.html');
+
+        T.build(__dirname + '/pages/foo.html', {permalink: 'a/../../x/'}).error.message.should.match(/go up a directory/);
+    });
+
+    it('gives every page a url, and puts it in page.url', function() {
+        var T = new Taft({silent: true, cwd: __dirname, layouts: __dirname + '/layouts/default.handlebars', partials: __dirname + '/partials/partial.handlebars'});
+        T.build(__dirname + '/pages/foo.html').url.should.equal('/pages/foo.html');
+        should.not.exist(T.build(__dirname + '/pages/foo.html').path);
+    });
+
+    it('errors when two pages have the same output', function() {
+        var errors = [];
+        var T = new Taft({silent: true, cwd: __dirname, permalink: 'same.html', helpers: 'handlebars-helper-br'});
+        T.err = function(msg) { errors.push(msg); };
+
+        T.build(__dirname + '/pages/br.html');
+        T.build(__dirname + '/pages/br.html');
+        errors.should.be.empty();
+
+        T.build(__dirname + '/pages/pages.html');
+        errors.length.should.equal(1);
+        errors[0].should.containEql('same.html would be overwritten by ' + __dirname + '/pages/br.html');
+    });
+
+    it('saves pages at their permalink from the cli', function(done) {
+        var dir = tmp.dir();
+        var cmd = 'bin/taft.js --silent -D ' + dir + ' tests/pages/permalink.html';
+
+        child.exec(cmd, function(e) {
+            if (e) throw e;
+            fs.readFileSync(path.join(dir, 'blog', '2016', '10', 'spooky-potions', 'index.html'), 'utf8')
+                .should.startWith('/blog/2016/10/spooky-potions/');
+            done();
+        });
+    });
+});
@@ -0,0 +1,114 @@
+var should = require('should');
+var fs = require('fs');
+var child = require('child_process');
+var Taft = require('..');
+
+describe('Planning a build', function() {
+
+    var taft;
+
+    beforeEach(function() {
+        taft = new Taft({
+            layouts: ['tests/layouts/*'],
+            defaultLayout: 'default',
+            data: ['tests/data/yaml.yaml', {a: 1}],
+            silent: true,
+        });
+    });
+
+    it('lists output paths and layouts without building', function() {
+        var plan = taft.plan('tests/pages/foo.html');
+
+        plan.published.should.be.true();
+        plan.layouts.should.eql(['default']);
+        plan.missing.should.eql([]);
+        plan.pages.length.should.equal(1);
+        plan.pages[0].url.should.equal('/tests/pages/foo.html');
+        taft.outputFile(plan.pages[0], 'build').should.equal('build/tests/pages/foo.html');
+    });
+
+    it('follows the layout chain through front matter', function() {
+        taft.defaultLayout('special');
+        taft.plan('tests/pages/foo.html').layouts.should.eql(['special', 'nested', 'default']);
+    });
+
+    it('says which layouts are missing', function() {
+        var plan = new Taft({defaultLayout: 'nonexistent', silent: true}).plan('tests/pages/foo.html');
+        plan.layouts.should.eql(['nonexistent']);
+        plan.missing.should.eql(['nonexistent']);
+    });
+
+    it('lists each page of a paginated page', function() {
+        var plan = taft.plan('tests/pages/paginate.html');
+
+        plan.layouts.should.eql([]);
+        plan.pages.map(page => page.path).should.eql([
+            'tests/pages/paginate.html',
+            'tests/pages/paginate/page/2.html',
+            'tests/pages/paginate/page/3.html',
+        ]);
+    });
+
+    it('skips unpublished pages', function() {
+        var plan = taft.plan('tests/pages/unpublished.html');
+        plan.published.should.be.false();
+        plan.pages.should.eql([]);
+    });
+
+    it('explains where data came from', function() {
+        var result = taft.explain('tests/pages/nested.html', {TAFT: {file: 'nested.html'}});
+
+        result.data.yaml.cat.should.equal('meow');
+        result.data.title.should.equal('strengthening the Interstate Commerce Commission');
+        result.data.url.should.equal('/tests/pages/nested.html');
+
+        result.sources.should.eql({
+            yaml: ['tests/data/yaml.yaml'],
+            a: ['(object)'],
+            data: ['front matter'],
+            title: ['front matter'],
+            candy: ['front matter'],
+            layout: ['default layout'],
+            TAFT: ['build'],
+            url: ['build'],
+        });
+    });
+
+    it('lists every source of merged keys', function() {
+        var deep = new Taft({data: [{site: {name: 'newt'}}, {site: {url: '/'}}], mergeStrategy: 'deep', silent: true});
+        var result = deep.explain('tests/pages/foo.html');
+
+        result.data.site.should.eql({name: 'newt', url: '/'});
+        result.sources.site.should.eql(['(object)', '(object)']);
+    });
+
+    it('dry runs from the command line', function(done) {
+        this.timeout(2000);
+
+        var cmd = 'bin/taft.js --dry-run --no-config -t "tests/layouts/*" -y default -D /tmp/taft-dry-run tests/pages/foo.html tests/pages/unpublished.html';
+
+        child.exec(cmd, (e, result) => {
+            if (e) throw e;
+
+            result.should.equal(
+                'tests/pages/foo.html -> /tmp/taft-dry-run/tests/pages/foo.html (layouts: default)\n' +
+                'tests/pages/unpublished.html: skipped (published: false)\n'
+            );
+            should(fs.existsSync('/tmp/taft-dry-run')).be.false();
+            done();
+        });
+    });
+
+    it('marks missing layouts in a dry run', function(done) {
+        this.timeout(2000);
+
+        var cmd = 'bin/taft.js --dry-run --no-config -y nonexistent -D /tmp/taft-dry-run tests/pages/foo.html';
+
+        child.exec(cmd, (e, result) => {
+            if (e) throw e;
+            result.should.equal('tests/pages/foo.html -> /tmp/taft-dry-run/tests/pages/foo.html (layouts: nonexistent (missing))\n');
+            done();
+        });
+    });
+
+});
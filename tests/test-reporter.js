@@ -0,0 +1,131 @@
+var should = require('should');
+var fs = require('fs');
+var path = require('path');
+var child = require('child_process');
+var Taft = require('..');
+var Reporter = require('../lib/reporter');
+var tmp = require('./lib/tmp');
+
+// collects what's written to it
+function stream() {
+    return {
+        text: '',
+        write: function(str) { this.text += str; },
+    };
+}
+
+describe('Reporter', function() {
+
+    afterEach(tmp.clean);
+
+    it('writes a line for each event with ndjson', function() {
+        var out = stream(),
+            reporter = new Reporter('ndjson', out);
+
+        reporter.event('page', {source: 'a.html', pages: 2, ms: 1});
+        out.text.should.equal('{"event":"page","source":"a.html","pages":2,"ms":1}\n');
+
+        reporter.event('write', {output: 'build/a.html', unchanged: true});
+        reporter.event('error', {message: 'oops'});
+
+        var summary = reporter.summary(1);
+        summary.pages.should.equal(2);
+        summary.unchanged.should.equal(1);
+        summary.written.should.equal(0);
+        summary.errors.should.equal(1);
+        summary.status.should.equal(1);
+
+        var lines = out.text.trim().split('\n').map(JSON.parse);
+        lines.length.should.equal(4);
+        lines[3].event.should.equal('summary');
+    });
+
+    it('writes one document with json', function() {
+        var out = stream(),
+            reporter = new Reporter('json', out);
+
+        reporter.event('skip', {source: 'draft.html', reason: 'published: false'});
+        out.text.should.equal('');
+
+        reporter.summary(0);
+
+        var result = JSON.parse(out.text);
+        result.events.should.eql([{event: 'skip', source: 'draft.html', reason: 'published: false'}]);
+        result.summary.skipped.should.equal(1);
+        result.summary.status.should.equal(0);
+    });
+
+    it('knows its formats', function() {
+        (function() { new Reporter('xml'); }).should.throw(/json, ndjson/);
+    });
+
+    it('is told about data, helpers, pages and errors', function() {
+        var events = [];
+
+        var taft = new Taft({
+            data: ['tests/data/yaml.yaml'],
+            helpers: ['tests/helpers/helper.js'],
+            report: function(event, details) { events.push([event, details]); },
+            silent: true,
+        });
+
+        taft.err = function() {};
+        taft.build('tests/pages/no-layout.html');
+        taft.build('tests/pages/unpublished.html');
+        taft.build('tests/pages/br.html');
+
+        events.map(e => e[0]).should.eql(['data', 'helper', 'helper', 'page', 'skip', 'error']);
+        events[0][1].source.should.equal('tests/data/yaml.yaml');
+        events[1][1].name.should.equal('foo');
+        events[3][1].source.should.equal('tests/pages/no-layout.html');
+        events[3][1].ms.should.be.a.Number();
+        events[5][1].source.should.equal('tests/pages/br.html');
+        events[5][1].message.should.match(/br/);
+    });
+
+    it('reports from the command line', function(done) {
+        this.timeout(2000);
+
+        var dest = tmp.dir('reporter');
+        var cmd = 'bin/taft.js --reporter ndjson --no-config -D ' + dest + ' tests/pages/no-layout.html tests/pages/unpublished.html';
+
+        child.exec(cmd, (e, result) => {
+            if (e) throw e;
+
+            var events = result.trim().split('\n').map(JSON.parse);
+
+            events.filter(e => e.event === 'write').should.eql([
+                {event: 'write', output: path.join(dest, 'tests/pages/no-layout.html'), kind: 'page', source: 'tests/pages/no-layout.html', unchanged: false},
+            ]);
+
+            var summary = events.pop();
+            summary.event.should.equal('summary');
+            summary.pages.should.equal(1);
+            summary.skipped.should.equal(1);
+            summary.written.should.equal(1);
+            summary.status.should.equal(0);
+            done();
+        });
+    });
+
+    it('ends with a summary when the build fails', function(done) {
+        this.timeout(2000);
+
+        var file = path.join(tmp.dir(), 'not-a-dir');
+        fs.writeFileSync(file, '');
+
+        // --dest-dir is a file, so the build can't start
+        child.exec('bin/taft.js --reporter json --no-config -D ' + file + ' tests/pages/no-layout.html', (e, result) => {
+            e.code.should.equal(1);
+
+            var report = JSON.parse(result),
+                failed = report.events.filter(e => e.event === 'error');
+
+            failed.pop().message.should.match(/^EEXIST/);
+            report.summary.errors.should.equal(failed.length + 1);
+            report.summary.status.should.equal(1);
+            done();
+        });
+    });
+
+});
@@ -0,0 +1,111 @@
+var should = require('should');
+var http = require('http');
+var Taft = require('..');
+var Server = require('../lib/serve');
+
+function get(server, url, callback) {
+    http.get({port: server.address().port, path: url}, function(res) {
+        var body = '';
+        res.setEncoding('utf8');
+        res.on('data', function(chunk) { body += chunk; });
+        res.on('end', function() { callback(res, body); });
+    });
+}
+
+describe('Taft server', function() {
+
+    before(function(done) {
+        var T = new Taft({silent: true});
+        T.err = function() {};
+        this.server = new Server({
+            pages: new Map([
+                ['/pages/pages.html', __dirname + '/pages/pages.html'],
+                ['/pages/index.html', __dirname + '/pages/foo.html'],
+                ['/pages/unpublished.html', __dirname + '/pages/unpublished.html'],
+                ['/errors/parse.html', __dirname + '/errors/parse.html'],
+            ]),
+            render: function(file) { return T.build(file, {pages: [{title: 'a'}]}); },
+            static: __dirname + '/data',
+            assets: new Map([['/css/site.121f9108.css', __dirname + '/assets/src/css/site.css']]),
+        }).listen(0, done);
+    });
+
+    after(function(done) {
+        this.server.close(done);
+    });
+
+    it('renders pages on request, with the reload script', function(done) {
+        get(this.server, '/pages/pages.html', function(res, body) {
+            res.statusCode.should.equal(200);
+            res.headers['content-type'].should.startWith('text/html');
+            body.should.startWith('a\n');
+            body.should.containEql('/__taft/reload');
+            done();
+        });
+    });
+
+    it('serves index pages for directories', function(done) {
+        get(this.server, '/pages/', function(res, body) {
+            res.statusCode.should.equal(200);
+            body.should.containEql('<h1>Big Lub</h1>');
+            done();
+        });
+    });
+
+    it('serves assets at their hashed URLs', function(done) {
+        get(this.server, '/css/site.121f9108.css', function(res, body) {
+            res.statusCode.should.equal(200);
+            res.headers['content-type'].should.startWith('text/css');
+            body.should.containEql('purple');
+            done();
+        });
+    });
+
+    it('serves static files', function(done) {
+        get(this.server, '/json.json', function(res, body) {
+            res.statusCode.should.equal(200);
+            res.headers['content-type'].should.equal('application/json');
+            JSON.parse(body).cat.should.equal('meow');
+            done();
+        });
+    });
+
+    it('shows why a page failed, with the reload script', function(done) {
+        get(this.server, '/errors/parse.html', function(res, body) {
+            res.statusCode.should.equal(500);
+            res.headers['content-type'].should.startWith('text/html');
+            body.should.startWith('<pre>error building tests/errors/parse.html\npage tests/errors/parse.html:');
+            body.should.containEql('/__taft/reload');
+            done();
+        });
+    });
+
+    it('does not serve unpublished pages or missing files', function(done) {
+        get(this.server, '/pages/unpublished.html', function(res) {
+            res.statusCode.should.equal(404);
+            done();
+        });
+    });
+
+    it('stays inside the static directory', function(done) {
+        get(this.server, '/%2e%2e/pages/foo.html', function(res) {
+            res.statusCode.should.equal(403);
+            done();
+        });
+    });
+
+    it('pushes reloads to browsers', function(done) {
+        var server = this.server;
+        http.get({port: server.address().port, path: '/__taft/reload'}, function(res) {
+            res.headers['content-type'].should.equal('text/event-stream');
+            res.setEncoding('utf8');
+            res.on('data', function(chunk) {
+                if (chunk.indexOf('reload') > -1) {
+                    res.destroy();
+                    done();
+                }
+            });
+            server.reload();
+        });
+    });
+});
@@ -0,0 +1,48 @@
+var should = require('should');
+var rewire = require('rewire');
+var Taft = require('..');
+var datalib = rewire('../lib/data.js');
+
+var parseObj = datalib.__get__('parseObj');
+var readFile = datalib.__get__('readFile');
+
+describe('Taft TOML', function() {
+
+    it('reads TOML files', function() {
+        var data = readFile(__dirname + '/toml/site.toml');
+        data['base-url'].should.equal('https://example.com');
+        data.owner.should.deepEqual({name: 'Hecate', cauldrons: 3});
+    });
+
+    it('reads TOML strings between +++ lines', function() {
+        parseObj('+++\ntitle = "x"\n+++\n').should.deepEqual({title: 'x'});
+        parseObj('+++\nyear = 2016\n[owner]\nname = "y"\n+++\n').should.deepEqual({year: 2016, owner: {name: 'y'}});
+        parseObj('[1, 2]').should.deepEqual([1, 2]);
+    });
+
+    it('reads key = value strings as TOML', function() {
+        parseObj('n = 3\nlist = [1, 2]').should.deepEqual({n: 3, list: [1, 2]});
+        parseObj('title = "x y"\n[owner]\nname = "z"').should.deepEqual({title: 'x y', owner: {name: 'z'}});
+    });
+
+    it("reads key=value strings that aren't TOML as INI", function() {
+        parseObj('foo = bar').should.deepEqual({foo: 'bar'});
+        parseObj('name=newt\nyear=2016').should.deepEqual({name: 'newt', year: '2016'});
+    });
+
+    it('reads +++ front matter in pages and layouts', function() {
+        var T = new Taft({silent: true, data: __dirname + '/toml/site.toml', layouts: __dirname + '/toml/toml-layout.html'});
+        var result = T.build(__dirname + '/toml/page.html');
+
+        result.toString().should.equal('<div><h1>Newts</h1> Hecate eyes toes\n</div>\n');
+    });
+
+    it('says where TOML front matter is broken', function() {
+        var T = new Taft({silent: true});
+        T.err = function() {};
+
+        var error = T.build(__dirname + '/toml/bad.html').error;
+        error.line.should.equal(3);
+        error.message.should.startWith('front matter TOML:');
+    });
+});
@@ -0,0 +1,88 @@
+var should = require('should');
+var fs = require('fs');
+var path = require('path');
+var Handlebars = require('handlebars');
+var Taft = require('..');
+var Watcher = require('../lib/watch');
+var tmp = require('./lib/tmp');
+
+function write(dir, file, content) {
+    fs.writeFileSync(path.join(dir, file), content, 'utf8');
+    return path.join(dir, file);
+}
+
+describe('Taft watch', function() {
+
+    before(function() {
+        var dir = this.dir = tmp.dir();
+
+        this.layout = write(dir, 'outer.hbs', '<main>{{> body}}</main>');
+        this.inner = write(dir, 'inner.hbs', '---\nlayout: outer\n---\n<div>{{> body}}</div>');
+        this.partial = write(dir, 'card.hbs', 'card');
+        this.helper = write(dir, 'shout.js', 'module.exports = {shout: function(x) { return x + "!"; }};');
+        this.data = write(dir, 'site.yaml', 'name: old');
+        this.withPartial = write(dir, 'a.hbs', '---\nlayout: inner\n---\n{{> card}} {{shout site.name}}');
+        this.plain = write(dir, 'b.hbs', '---\nlayout: false\n---\n{{site.name}}');
+
+        this.T = new Taft({
+            silent: true,
+            handlebars: Handlebars.create(),
+            layouts: [this.layout, this.inner],
+            partials: this.partial,
+            helpers: this.helper,
+            data: this.data,
+        });
+
+        this.built = [];
+        this.W = new Watcher(this.T, [this.withPartial, this.plain], file => this.built.push(file));
+    });
+
+    after(function() {
+        this.W.close();
+        tmp.clean();
+    });
+
+    it('finds the dependencies of a page', function() {
+        var deps = Array.from(this.T.dependencies(this.withPartial));
+        deps.should.containEql(this.withPartial);
+        deps.should.containEql(this.inner);
+        deps.should.containEql(this.layout);
+        deps.should.containEql(this.partial);
+        deps.should.containEql(this.helper);
+        deps.should.containEql(this.data);
+    });
+
+    it('leaves out layouts, partials and helpers a page does not use', function() {
+        var deps = Array.from(this.T.dependencies(this.plain));
+        deps.should.not.containEql(this.layout);
+        deps.should.not.containEql(this.partial);
+        deps.should.not.containEql(this.helper);
+        deps.should.containEql(this.data);
+    });
+
+    it('lists the affected pages', function() {
+        this.W.affected(this.partial).should.deepEqual([this.withPartial]);
+        this.W.affected(this.data).should.deepEqual([this.withPartial, this.plain]);
+        this.W.affected(path.join(this.dir, 'nope.hbs')).should.deepEqual([]);
+    });
+
+    it('rebuilds pages when a layout changes', function() {
+        this.T.build(this.withPartial).toString().should.equal('<main><div>card old!</div></main>');
+        write(this.dir, 'outer.hbs', '<body>{{> body}}</body>');
+        this.W.change(this.layout).should.deepEqual([this.withPartial]);
+        this.T.build(this.withPartial).toString().should.equal('<body><div>card old!</div></body>');
+    });
+
+    it('reloads partials, helpers and data', function() {
+        write(this.dir, 'card.hbs', 'new card');
+        this.W.change(this.partial);
+        write(this.dir, 'shout.js', 'module.exports = {shout: function(x) { return x + "?"; }};');
+        this.W.change(this.helper);
+        write(this.dir, 'site.yaml', 'name: new');
+        this.W.change(this.data);
+
+        this.T.build(this.withPartial).toString().should.equal('<body><div>new card new?</div></body>');
+        this.T.build(this.plain).toString().should.equal('new');
+        this.built.should.deepEqual([this.withPartial, this.withPartial, this.withPartial, this.withPartial, this.plain]);
+    });
+});